@@ -22,13 +22,19 @@ async function loadDebugSettings() {
 // Initialize debug settings
 loadDebugSettings();
 
-browserAPI.runtime.onInstalled.addListener(() => {
+browserAPI.runtime.onInstalled.addListener(async () => {
   debugLog('Extension installed');
+  // Before the defaults below overwrite the global settings it reads
+  await migrateProfiles();
   browserAPI.storage.local.set({
     esiEnabled: true,
     customHeaders: [],
     debugLogging: false,
-    executeScripts: false
+    executeScripts: false,
+    maxIncludeDepth: 5,
+    maxConcurrentFetches: 6,
+    fragmentTimeout: 10000,
+    fragmentRetries: 0
   });
   
   // Set initial icon
@@ -38,6 +44,7 @@ browserAPI.runtime.onInstalled.addListener(() => {
 browserAPI.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   if (changeInfo.status === 'complete' && tab.url) {
     cleanupOldStats();
+    cleanupExpiredCache();
     updateIconForCurrentState();
   }
 });
@@ -61,6 +68,27 @@ browserAPI.runtime.onMessage.addListener((request, sender, sendResponse) => {
     debugLog('Received icon update request:', request.enabled);
     updateIcon(request.enabled);
     sendResponse({ success: true });
+  } else if (request.action === 'fetchFragment') {
+    fetchFragment(request.url, request.options).then(sendResponse);
+    return true;
+  } else if (request.action === 'getCachedFragment') {
+    getCachedFragment(request.key).then(sendResponse);
+    return true;
+  } else if (request.action === 'storeFragment') {
+    storeFragment(request.key, request.url, request.content, request.cacheControl, request.surrogateControl, request.contentType)
+      .then(stored => sendResponse({ success: true, stored: stored }));
+    return true;
+  } else if (request.action === 'forwardToTab') {
+    // The DevTools panel has no tabs API, it reaches the content script through here
+    browserAPI.tabs.sendMessage(request.tabId, request.message)
+      .then(sendResponse, () => sendResponse(null));
+    return true;
+  } else if (request.action === 'getRawRequestLog') {
+    getRawRequestLog(request.tabId).then(entries => sendResponse({ entries: entries }));
+    return true;
+  } else if (request.action === 'purgeCache') {
+    purgeCache(request.pattern).then(purged => sendResponse({ success: true, purged: purged }));
+    return true;
   }
 });
 
@@ -124,5 +152,369 @@ async function cleanupOldStats() {
   });
 }
 
+// Fragment requests are proxied through here: with the extension's host
+// permissions they are not subject to CORS or the page's CSP
+async function fetchFragment(url, options) {
+  debugLog('Fetching fragment for content script:', url);
+  const controller = new AbortController();
+  const timer = options.timeout > 0 ? setTimeout(() => controller.abort(), options.timeout) : null;
+  const start = Date.now();
+  try {
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: options.headers,
+      credentials: options.credentials,
+      signal: controller.signal
+    });
+    const ttfb = Date.now() - start;
+    // Messages carry strings, so the body is decoded here with the response charset
+    const body = decodeFragmentBody(await response.arrayBuffer(), response.headers.get('Content-Type'));
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers: Array.from(response.headers.entries()),
+      body: body,
+      ttfb: ttfb,
+      duration: Date.now() - start
+    };
+  } catch (error) {
+    debugLog('Fragment fetch failed:', url, error);
+    return { error: error.message, timedOut: error.name === 'AbortError' };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Fragment cache shared by all tabs. Entries are mirrored to storage because
+// the background page is not persistent and loses the in-memory map.
+const FRAGMENT_CACHE_PREFIX = 'esiCache_';
+// Storage key -> { url, expires } of every stored entry, so purging and cleaning
+// up don't read every body in storage
+const FRAGMENT_CACHE_INDEX_KEY = 'esiCacheIndex';
+// Larger fragments are only cached in memory, storage.local has a small quota
+const MAX_STORED_FRAGMENT_SIZE = 256 * 1024;
+const CACHE_CLEANUP_INTERVAL = 10 * 60 * 1000;
+const fragmentCache = new Map();
+let fragmentCacheIndex = null;
+let lastCacheCleanup = 0;
+
+// Installs from before the index existed build it once from a full read
+async function loadFragmentCacheIndex() {
+  if (!fragmentCacheIndex) {
+    fragmentCacheIndex = (async () => {
+      const result = await browserAPI.storage.local.get([FRAGMENT_CACHE_INDEX_KEY]);
+      if (result[FRAGMENT_CACHE_INDEX_KEY]) {
+        return result[FRAGMENT_CACHE_INDEX_KEY];
+      }
+      const index = {};
+      const allData = await browserAPI.storage.local.get();
+      Object.keys(allData).forEach(storageKey => {
+        if (storageKey.startsWith(FRAGMENT_CACHE_PREFIX)) {
+          index[storageKey] = { url: allData[storageKey].url, expires: allData[storageKey].expires };
+        }
+      });
+      await browserAPI.storage.local.set({ [FRAGMENT_CACHE_INDEX_KEY]: index });
+      return index;
+    })();
+    // A failed read is tried again by the next caller
+    fragmentCacheIndex.catch(() => { fragmentCacheIndex = null; });
+  }
+  return fragmentCacheIndex;
+}
+
+async function removeStoredFragments(storageKeys) {
+  const index = await loadFragmentCacheIndex();
+  storageKeys.forEach(storageKey => {
+    fragmentCache.delete(storageKey.substring(FRAGMENT_CACHE_PREFIX.length));
+    delete index[storageKey];
+  });
+  await browserAPI.storage.local.remove(storageKeys);
+  await browserAPI.storage.local.set({ [FRAGMENT_CACHE_INDEX_KEY]: index });
+}
+
+async function getCachedFragment(key) {
+  let entry = fragmentCache.get(key);
+  if (!entry) {
+    const storageKey = FRAGMENT_CACHE_PREFIX + key;
+    const result = await browserAPI.storage.local.get([storageKey]);
+    entry = result[storageKey];
+    if (entry) {
+      fragmentCache.set(key, entry);
+    }
+  }
+
+  if (!entry) {
+    debugLog('Fragment cache MISS:', key);
+    return { status: 'MISS' };
+  }
+  if (entry.expires <= Date.now()) {
+    debugLog('Fragment cache STALE:', key);
+    return { status: 'STALE' };
+  }
+  debugLog('Fragment cache HIT:', key);
+  return { status: 'HIT', content: entry.content, contentType: entry.contentType || null, storedAt: entry.storedAt };
+}
+
+async function storeFragment(key, url, content, cacheControl, surrogateControl, contentType = null) {
+  const ttl = getCacheTtl(cacheControl, surrogateControl);
+  const storageKey = FRAGMENT_CACHE_PREFIX + key;
+
+  if (ttl <= 0) {
+    // no-store or no freshness information, drop what we had. Most such responses
+    // were never cached, storage is only written when something is stored.
+    fragmentCache.delete(key);
+    const index = await loadFragmentCacheIndex();
+    if (index[storageKey]) {
+      await removeStoredFragments([storageKey]);
+    }
+    return false;
+  }
+
+  const entry = {
+    url: url,
+    content: content,
+    contentType: contentType,
+    storedAt: Date.now(),
+    expires: Date.now() + ttl * 1000
+  };
+  fragmentCache.set(key, entry);
+  if (content.length > MAX_STORED_FRAGMENT_SIZE) {
+    // A smaller copy stored earlier would come back once the background page unloads
+    debugLog('Fragment too large to store, cached in memory only:', url);
+    const index = await loadFragmentCacheIndex();
+    if (index[storageKey]) {
+      delete index[storageKey];
+      await browserAPI.storage.local.remove(storageKey);
+      await browserAPI.storage.local.set({ [FRAGMENT_CACHE_INDEX_KEY]: index });
+    }
+  } else {
+    const index = await loadFragmentCacheIndex();
+    index[storageKey] = { url: url, expires: entry.expires };
+    await browserAPI.storage.local.set({ [storageKey]: entry, [FRAGMENT_CACHE_INDEX_KEY]: index });
+  }
+  debugLog('Fragment cached for', ttl, 'seconds:', url);
+  return true;
+}
+
+// Surrogate-Control is meant for the edge and wins over Cache-Control
+function getCacheTtl(cacheControl, surrogateControl) {
+  const surrogate = parseCacheDirectives(surrogateControl);
+  if (surrogate.has('no-store')) return 0;
+  if (surrogate.has('max-age')) return parseInt(surrogate.get('max-age'), 10) || 0;
+
+  const cache = parseCacheDirectives(cacheControl);
+  if (cache.has('no-store') || cache.has('no-cache') || cache.has('private')) return 0;
+  if (cache.has('s-maxage')) return parseInt(cache.get('s-maxage'), 10) || 0;
+  if (cache.has('max-age')) return parseInt(cache.get('max-age'), 10) || 0;
+  return 0;
+}
+
+function parseCacheDirectives(header) {
+  const directives = new Map();
+  (header || '').split(',').forEach(part => {
+    const [name, value] = part.trim().split('=');
+    if (name) {
+      // Surrogate-Control max-age may carry a grace period: max-age=60+30
+      directives.set(name.toLowerCase(), value ? value.replace(/"/g, '').split('+')[0] : '');
+    }
+  });
+  return directives;
+}
+
+// Purges entries whose URL contains pattern, * matches any characters
+async function purgeCache(pattern) {
+  const matcher = pattern ? wildcardToRegExp(`*${pattern}*`) : null;
+  const index = await loadFragmentCacheIndex();
+  const purgeKeys = Object.keys(index).filter(storageKey => !matcher || matcher.test(index[storageKey].url));
+
+  // Entries only cached in memory are purged too
+  fragmentCache.forEach((entry, key) => {
+    if (!matcher || matcher.test(entry.url)) {
+      fragmentCache.delete(key);
+    }
+  });
+  await removeStoredFragments(purgeKeys);
+  debugLog('Purged', purgeKeys.length, 'cached fragments for pattern:', pattern);
+  return purgeKeys.length;
+}
+
+// Keep stale entries for an hour so they can still be reported as STALE.
+// Runs at most every CACHE_CLEANUP_INTERVAL, tabs finish loading all the time.
+async function cleanupExpiredCache() {
+  if (Date.now() - lastCacheCleanup < CACHE_CLEANUP_INTERVAL) {
+    return;
+  }
+  lastCacheCleanup = Date.now();
+
+  const cutoffTime = Date.now() - (60 * 60 * 1000);
+  const index = await loadFragmentCacheIndex();
+  const expiredKeys = Object.keys(index).filter(storageKey => index[storageKey].expires < cutoffTime);
+  fragmentCache.forEach((entry, key) => {
+    if (entry.expires < cutoffTime) {
+      fragmentCache.delete(key);
+    }
+  });
+  if (expiredKeys.length) {
+    await removeStoredFragments(expiredKeys);
+    debugLog('Removed', expiredKeys.length, 'expired cached fragments');
+  }
+}
+
+// Keyboard shortcut for the fragment overlay, toggles it in the active tab only
+if (browserAPI.commands) {
+  browserAPI.commands.onCommand.addListener(async (command) => {
+    if (command === 'toggle-overlay') {
+      try {
+        const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+        if (!tab) return;
+        const result = await browserAPI.tabs.sendMessage(tab.id, { action: 'setOverlayEnabled' });
+        debugLog('Fragment overlay toggled in tab', tab.id, 'to:', result && result.overlayEnabled);
+      } catch (error) {
+        debugLog('Could not toggle the fragment overlay:', error);
+      }
+    }
+  });
+}
+
+// Raw HTML mode (Firefox only): documents are resolved by ESIRawResolver before
+// the browser parses them. Other browsers keep the DOM-based content script path,
+// which also picks up anything left in the document. webRequest is an optional
+// permission granted from the popup, browserAPI.webRequest only exists once it is.
+// The background page is not persistent: the listener has to be registered
+// synchronously whenever the page loads, or suspending it would end raw mode
+// until something else woke it. The handler checks whether the mode is on.
+function registerRawHtmlListener() {
+  if (!browserAPI.webRequest || !browserAPI.webRequest.filterResponseData ||
+      browserAPI.webRequest.onHeadersReceived.hasListener(filterDocumentResponse)) {
+    return;
+  }
+  debugLog('Registering the raw HTML response filter');
+  browserAPI.webRequest.onHeadersReceived.addListener(
+    filterDocumentResponse,
+    { urls: ['<all_urls>'], types: ['main_frame', 'sub_frame'] },
+    ['blocking', 'responseHeaders']
+  );
+}
+
+registerRawHtmlListener();
+if (browserAPI.permissions && browserAPI.permissions.onAdded) {
+  browserAPI.permissions.onAdded.addListener(registerRawHtmlListener);
+}
+
+// Requests sent by the raw resolver for the current document of each tab. They
+// are mirrored to storage.session, which outlives the suspended background page.
+// Browsers without it lose the log, and its HAR entries, when the page unloads.
+const RAW_REQUEST_LOG_PREFIX = 'esiRawRequests_';
+const rawRequestLogs = new Map();
+
+async function getRawRequestLog(tabId) {
+  if (!rawRequestLogs.has(tabId) && browserAPI.storage.session) {
+    const key = RAW_REQUEST_LOG_PREFIX + tabId;
+    const result = await browserAPI.storage.session.get([key]).catch(() => ({}));
+    if (result[key]) {
+      rawRequestLogs.set(tabId, result[key]);
+    }
+  }
+  return rawRequestLogs.get(tabId) || [];
+}
+
+function setRawRequestLog(tabId, entries) {
+  rawRequestLogs.set(tabId, entries);
+  if (browserAPI.storage.session) {
+    browserAPI.storage.session.set({ [RAW_REQUEST_LOG_PREFIX + tabId]: entries })
+      .catch(error => debugLog('Could not keep the raw request log:', error));
+  }
+}
+
+function deleteRawRequestLog(tabId) {
+  rawRequestLogs.delete(tabId);
+  if (browserAPI.storage.session) {
+    browserAPI.storage.session.remove(RAW_REQUEST_LOG_PREFIX + tabId)
+      .catch(error => debugLog('Could not remove the raw request log:', error));
+  }
+}
+
+browserAPI.tabs.onRemoved.addListener(tabId => {
+  deleteRawRequestLog(tabId);
+});
+
+async function filterDocumentResponse(details) {
+  const modeSettings = await browserAPI.storage.local.get(['esiEnabled', 'rawHtmlMode']);
+  if (modeSettings.esiEnabled === false || !modeSettings.rawHtmlMode) {
+    return {};
+  }
+
+  if (details.type === 'main_frame') {
+    deleteRawRequestLog(details.tabId);
+  }
+
+  const settings = await browserAPI.storage.local.get([
+    'rewriteRules',
+    'fragmentMocks',
+    'faultRules',
+    'maxIncludeDepth',
+    'fragmentTimeout',
+    'fragmentRetries'
+  ]);
+
+  const contentTypeHeader = (details.responseHeaders || []).find(header => header.name.toLowerCase() === 'content-type');
+  const contentType = contentTypeHeader ? contentTypeHeader.value : '';
+  const charset = (contentType.match(/charset=["']?([\w-]+)/i) || [])[1];
+  // Resolved documents are written back as UTF-8, anything else is left to the content script
+  if (!/text\/html/i.test(contentType) || (charset && !/^utf-?8$/i.test(charset))) {
+    return {};
+  }
+
+  const profile = findMatchingProfile(await loadProfiles(), details.url);
+  if (!profile) {
+    return {};
+  }
+
+  debugLog('Filtering document response for raw HTML resolution:', details.url);
+  const resolver = new ESIRawResolver(settings, profile, details.url);
+  const filter = browserAPI.webRequest.filterResponseData(details.requestId);
+  const chunks = [];
+
+  filter.ondata = event => {
+    chunks.push(new Uint8Array(event.data));
+  };
+
+  filter.onstop = async () => {
+    const bytes = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    });
+
+    let output = bytes;
+    try {
+      // A byte order mark stays in the text and is written back, without a
+      // charset in the headers it may be what marks the document as UTF-8
+      const html = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(bytes);
+      const metaCharset = (html.substring(0, 1024).match(/<meta[^>]+charset=["']?([\w-]+)/i) || [])[1];
+      if (ESIRawResolver.containsESI(html) && (!metaCharset || /^utf-?8$/i.test(metaCharset))) {
+        output = new TextEncoder().encode(await resolver.resolve(html));
+        await resolver.saveStats();
+        if (details.type === 'main_frame') {
+          setRawRequestLog(details.tabId, resolver.requestLog);
+        }
+      }
+    } catch (error) {
+      // Not UTF-8 or resolution failed, the page gets the original bytes
+      debugLog('Raw HTML resolution failed, leaving the document to the content script:', details.url, error);
+    }
+
+    filter.write(output);
+    filter.close();
+  };
+
+  filter.onerror = () => {
+    debugLog('Response filter error:', details.url, filter.error);
+  };
+
+  return {};
+}
+
 // Initialize icon on startup
 updateIconForCurrentState();
\ No newline at end of file
@@ -30,20 +30,78 @@ loadDebugSettings().then(() => {
   debugLog('ESI Content script loading, browserAPI:', typeof browserAPI);
 });
 
+const DEFAULT_MAX_INCLUDE_DEPTH = 5;
+const DEFAULT_MAX_CONCURRENT_FETCHES = 6;
+const DEFAULT_FRAGMENT_TIMEOUT = 10000; // ms, 0 disables the timeout
+const DEFAULT_FRAGMENT_RETRIES = 0;
+const MUTATION_DEBOUNCE = 200; // ms
+// Response headers kept in the fragment statistics
+const FRAGMENT_METADATA_HEADERS = ['Cache-Control', 'Age', 'Surrogate-Key', 'X-Cache'];
+// Requests kept for the HAR export, oldest are dropped first
+const REQUEST_LOG_LIMIT = 500;
+// Response bodies kept for the source viewer, the oldest fragments fall back to the request log
+const FRAGMENT_SOURCE_LIMIT = 100;
+// Parents that only allow specific children. A wrapper div there is moved or
+// breaks the table or list, so fragments go between marker comments instead.
+const MARKER_CONTEXT_PARENTS = new Set(['HTML', 'HEAD', 'TABLE', 'CAPTION', 'COLGROUP', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'UL', 'OL', 'DL', 'MENU', 'SELECT', 'OPTGROUP', 'DATALIST']);
+// ESI elements the passes handle, for spotting markup added after load
+const ESI_ELEMENT_SELECTOR = ['include', 'try', 'choose', 'vars', 'remove', 'comment'].map(tag => `esi\\:${tag}`).join(', ') + ', esi-include';
+const ROOT_INCLUDE_CONTEXT = Object.freeze({ parentId: null, depth: 0, ancestors: [] });
+
+// Caps the number of fragment requests in flight, shared by all nesting levels
+class FetchQueue {
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async run(task) {
+    while (this.active >= this.limit) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    this.active++;
+    try {
+      return await task();
+    } finally {
+      this.active--;
+      const next = this.waiting.shift();
+      if (next) next();
+    }
+  }
+}
+
 class ESIProcessor {
   constructor() {
     debugLog('ESIProcessor constructor');
     this.enabled = true;
+    this.profile = null; // Profile matching this page, null leaves the page untouched
     this.customHeaders = [];
     this.stats = {
       total: 0,
       successful: 0,
       failed: 0,
-      fragments: []
+      fragments: [],
+      decisions: []
     };
     this.fragmentCounter = 0;
     this.processedElements = new Set(); // Track processed elements
     this.executeScripts = false;
+    this.maxIncludeDepth = DEFAULT_MAX_INCLUDE_DEPTH;
+    this.fetchQueue = new FetchQueue(DEFAULT_MAX_CONCURRENT_FETCHES);
+    this.rewriteRules = [];
+    this.fragmentMocks = [];
+    this.faultRules = [];
+    this.variables = new ESIVariables();
+    this.expressions = new ESIExpressionEvaluator(this.variables);
+    this.mutationObserver = null;
+    this.mutationRoots = new Set(); // Elements with new ESI markup, waiting for the debounce
+    this.mutationTimer = null;
+    this.requestLog = []; // Fragment requests sent from this page, for the HAR export
+    this.originalMarkup = new Map(); // Fragment id -> { resolved, original, unresolved }, to undo the resolution
+    this.fragmentSources = new Map(); // Fragment id -> response body and headers as received, for the source viewer
+    this.overlayEnabled = false; // Per tab, switched by the popup and the keyboard shortcut
+    this.overlay = new ESIFragmentOverlay(() => this.stats.fragments);
     this.init();
   }
 
@@ -52,15 +110,20 @@ class ESIProcessor {
     await this.loadSettings();
     this.loadStats();
     
-    debugLog('ESI enabled:', this.enabled);
-    if (this.enabled) {
+    debugLog('ESI enabled:', this.enabled, 'profile:', this.profile && this.profile.name);
+    if (this.enabled && this.profile) {
       debugLog('Processing ESI...');
       setTimeout(() => {
-        this.processESI();
+        // Fragments raw HTML mode resolved in this document's response belong to this run
+        this.processESI(performance.timeOrigin);
       }, 100);
+    } else if (!this.profile) {
+      debugLog('No profile matches this page, leaving it untouched');
     } else {
       debugLog('ESI processing disabled');
     }
+    this.updateMutationObserver();
+    this.updateOverlay();
 
     // Listen for messages from popup
     browserAPI.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -71,8 +134,37 @@ class ESIProcessor {
       } else if (request.action === 'jumpToFragment') {
         this.jumpToFragment(request.fragmentId);
         sendResponse({ success: true });
+      } else if (request.action === 'getRequestLog') {
+        sendResponse({ entries: this.requestLog });
+      } else if (request.action === 'getPageInfo') {
+        sendResponse({ url: window.location.href });
+      } else if (request.action === 'reloadFragment') {
+        this.reloadFragment(request.fragmentId)
+          .then(sendResponse, error => sendResponse({ success: false, error: error.message }));
+        // The response is sent asynchronously
+        return true;
+      } else if (request.action === 'resolveFragmentAgain') {
+        this.resolveFragmentAgain(request.fragmentId, request.faultRules)
+          .then(sendResponse, error => sendResponse({ success: false, error: error.message }));
+        return true;
+      } else if (request.action === 'setFragmentResolved') {
+        sendResponse(this.setFragmentResolved(request.fragmentId, request.resolved));
+      } else if (request.action === 'setPageResolved') {
+        sendResponse(this.setPageResolved(request.resolved));
+      } else if (request.action === 'getOverlayEnabled') {
+        sendResponse({ overlayEnabled: this.overlayEnabled });
+      } else if (request.action === 'setOverlayEnabled') {
+        // Without enabled the overlay is toggled
+        this.overlayEnabled = request.enabled === undefined ? !this.overlayEnabled : request.enabled;
+        this.updateOverlay();
+        sendResponse({ overlayEnabled: this.overlayEnabled });
+      } else if (request.action === 'getFragmentSource') {
+        sendResponse({
+          pageUrl: window.location.href,
+          source: this.fragmentSources.get(request.fragmentId) || null,
+          currentHtml: this.getFragmentHtml(request.fragmentId)
+        });
       }
-      return true;
     });
 
     // Listen for storage changes
@@ -86,14 +178,48 @@ class ESIProcessor {
             this.processESI();
           }, 100);
         }
+        this.updateMutationObserver();
+        this.updateOverlay();
+      }
+      if (changes.profiles) {
+        const hadProfile = !!this.profile;
+        this.applyProfile(findMatchingProfile(changes.profiles.newValue || [], window.location.href));
+        debugLog('Profiles changed, matching profile:', this.profile && this.profile.name);
+        if (!hadProfile && this.profile && this.enabled) {
+          setTimeout(() => {
+            this.processESI();
+          }, 100);
+        }
+        this.updateMutationObserver();
+        this.updateOverlay();
+      }
+      if (changes.maxIncludeDepth) {
+        this.maxIncludeDepth = this.parseMaxIncludeDepth(changes.maxIncludeDepth.newValue);
+        debugLog('Max include depth changed to:', this.maxIncludeDepth);
+      }
+      if (changes.rewriteRules) {
+        this.rewriteRules = changes.rewriteRules.newValue || [];
+        debugLog('Rewrite rules changed to:', this.rewriteRules);
+      }
+      if (changes.fragmentMocks) {
+        this.fragmentMocks = changes.fragmentMocks.newValue || [];
+        debugLog('Fragment mocks changed to:', this.fragmentMocks);
+      }
+      if (changes.faultRules) {
+        this.faultRules = changes.faultRules.newValue || [];
+        debugLog('Fault rules changed to:', this.faultRules);
+      }
+      if (changes.maxConcurrentFetches) {
+        this.fetchQueue.limit = this.parseMaxConcurrentFetches(changes.maxConcurrentFetches.newValue);
+        debugLog('Max concurrent fetches changed to:', this.fetchQueue.limit);
       }
-      if (changes.customHeaders) {
-        this.customHeaders = changes.customHeaders.newValue || [];
-        debugLog('Custom headers changed to:', this.customHeaders);
+      if (changes.fragmentTimeout) {
+        this.fragmentTimeout = this.parseFragmentTimeout(changes.fragmentTimeout.newValue, DEFAULT_FRAGMENT_TIMEOUT);
+        debugLog('Fragment timeout changed to:', this.fragmentTimeout);
       }
-      if (changes.executeScripts) {
-        this.executeScripts = changes.executeScripts.newValue || false;
-        debugLog('Execute scripts changed to:', this.executeScripts);
+      if (changes.fragmentRetries) {
+        this.fragmentRetries = this.parseFragmentRetries(changes.fragmentRetries.newValue);
+        debugLog('Fragment retries changed to:', this.fragmentRetries);
       }
     });
   }
@@ -102,17 +228,54 @@ class ESIProcessor {
     debugLog('Loading settings...');
     const result = await browserAPI.storage.local.get([
       'esiEnabled', 
-      'customHeaders', 
-      'forwardHeaders', 
-      'forwardCookies',
-      'executeScripts'
+      'maxIncludeDepth',
+      'maxConcurrentFetches',
+      'fragmentTimeout',
+      'fragmentRetries',
+      'rewriteRules',
+      'fragmentMocks',
+      'faultRules'
     ]);
     this.enabled = result.esiEnabled !== false;
-    this.customHeaders = result.customHeaders || [];
-    this.forwardHeaders = result.forwardHeaders || false;
-    this.forwardCookies = result.forwardCookies || false;
-    this.executeScripts = result.executeScripts || false;
-    debugLog('Settings loaded - enabled:', this.enabled, 'headers:', this.customHeaders.length, 'forward headers:', this.forwardHeaders, 'forward cookies:', this.forwardCookies, 'execute scripts:', this.executeScripts);
+    this.rewriteRules = result.rewriteRules || [];
+    this.fragmentMocks = result.fragmentMocks || [];
+    this.faultRules = result.faultRules || [];
+    this.applyProfile(findMatchingProfile(await loadProfiles(), window.location.href));
+    this.maxIncludeDepth = this.parseMaxIncludeDepth(result.maxIncludeDepth);
+    this.fetchQueue.limit = this.parseMaxConcurrentFetches(result.maxConcurrentFetches);
+    this.fragmentTimeout = this.parseFragmentTimeout(result.fragmentTimeout, DEFAULT_FRAGMENT_TIMEOUT);
+    this.fragmentRetries = this.parseFragmentRetries(result.fragmentRetries);
+    debugLog('Settings loaded - enabled:', this.enabled, 'profile:', this.profile && this.profile.name, 'headers:', this.customHeaders.length, 'forward headers:', this.forwardHeaders, 'forward cookies:', this.forwardCookies, 'execute scripts:', this.executeScripts, 'max include depth:', this.maxIncludeDepth, 'max concurrent fetches:', this.fetchQueue.limit, 'timeout:', this.fragmentTimeout, 'retries:', this.fragmentRetries);
+  }
+
+  applyProfile(profile) {
+    this.profile = profile;
+    this.customHeaders = profile ? profile.customHeaders || [] : [];
+    this.forwardHeaders = profile ? profile.forwardHeaders || false : false;
+    this.forwardCookies = profile ? profile.forwardCookies || false : false;
+    this.executeScripts = profile ? profile.executeScripts || false : false;
+    this.observeMutations = profile ? profile.observeMutations || false : false;
+  }
+
+  parseMaxIncludeDepth(value) {
+    const depth = parseInt(value, 10);
+    return Number.isInteger(depth) && depth >= 0 ? depth : DEFAULT_MAX_INCLUDE_DEPTH;
+  }
+
+  parseMaxConcurrentFetches(value) {
+    const limit = parseInt(value, 10);
+    return Number.isInteger(limit) && limit >= 1 ? limit : DEFAULT_MAX_CONCURRENT_FETCHES;
+  }
+
+  // Used for the setting and for the timeout attribute of single includes
+  parseFragmentTimeout(value, fallback) {
+    const timeout = parseInt(value, 10);
+    return Number.isInteger(timeout) && timeout >= 0 ? timeout : fallback;
+  }
+
+  parseFragmentRetries(value) {
+    const retries = parseInt(value, 10);
+    return Number.isInteger(retries) && retries >= 0 ? retries : DEFAULT_FRAGMENT_RETRIES;
   }
 
   loadStats() {
@@ -121,6 +284,7 @@ class ESIProcessor {
     browserAPI.storage.local.get([storageKey]).then(result => {
       if (result[storageKey]) {
         this.stats = result[storageKey];
+        this.stats.decisions = this.stats.decisions || [];
         this.fragmentCounter = Math.max(...this.stats.fragments.map(f => f.id || 0), 0);
         debugLog('Stats loaded:', this.stats);
       } else {
@@ -135,38 +299,89 @@ class ESIProcessor {
     browserAPI.storage.local.set({
       [storageKey]: this.stats
     });
+    // Stats are saved whenever fragments change, so the overlay follows them
+    this.overlay.scheduleUpdate();
+  }
+
+  // Stats of a URL outlive page loads and collect later runs. Fragments that started
+  // before the latest run are left out of the popup's waterfall.
+  startRun(startedAt = Date.now()) {
+    this.stats.runStartedAt = startedAt;
+  }
+
+  updateOverlay() {
+    this.overlay.setEnabled(this.enabled && !!this.profile && this.overlayEnabled);
   }
 
   clearStats() {
     debugLog('Clearing stats...');
+    // Fragment ids start over, the original markup can't be matched to them anymore
+    this.setPageResolved(true);
+    this.originalMarkup.clear();
+    this.fragmentSources.clear();
     this.stats = {
       total: 0,
       successful: 0,
       failed: 0,
-      fragments: []
+      fragments: [],
+      decisions: []
     };
     this.fragmentCounter = 0;
     this.processedElements.clear();
+    this.requestLog = [];
     this.saveStats();
   }
 
   jumpToFragment(fragmentId) {
     debugLog('Jumping to fragment:', fragmentId);
     const element = document.getElementById(`esi-fragment-${fragmentId}`);
-    if (element) {
+    // Fragments between marker comments have no element of their own, all of theirs are outlined
+    const markers = element ? null : this.findFragmentMarkers(fragmentId);
+    const elements = element ? [element] :
+      markers ? this.getNodesBetweenMarkers(markers).filter(node => node.nodeType === Node.ELEMENT_NODE) : [];
+    if (elements.length) {
       debugLog('Found fragment element, scrolling...');
-      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-      element.style.outline = '3px solid #ff6600';
-      element.style.outlineOffset = '2px';
+      elements[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+      elements.forEach(fragmentElement => {
+        fragmentElement.style.outline = '3px solid #ff6600';
+        fragmentElement.style.outlineOffset = '2px';
+      });
       setTimeout(() => {
-        element.style.outline = '';
-        element.style.outlineOffset = '';
+        elements.forEach(fragmentElement => {
+          fragmentElement.style.outline = '';
+          fragmentElement.style.outlineOffset = '';
+        });
       }, 2000);
     } else {
       debugLog('Fragment element not found:', `esi-fragment-${fragmentId}`);
     }
   }
 
+  // Start and end marker comments of a fragment inserted without a container,
+  // null when there is no complete pair
+  findFragmentMarkers(fragmentId) {
+    const walker = document.createTreeWalker(document.documentElement, NodeFilter.SHOW_COMMENT, null, false);
+    let node;
+    while (node = walker.nextNode()) {
+      if (node.nodeValue.startsWith(` ESI Fragment ${fragmentId}: `)) {
+        break;
+      }
+    }
+    let end = node ? node.nextSibling : null;
+    while (end && !(end.nodeType === Node.COMMENT_NODE && end.nodeValue === ` /ESI Fragment ${fragmentId} `)) {
+      end = end.nextSibling;
+    }
+    return end ? { start: node, end: end } : null;
+  }
+
+  getNodesBetweenMarkers({ start, end }) {
+    const nodes = [];
+    for (let node = start.nextSibling; node && node !== end; node = node.nextSibling) {
+      nodes.push(node);
+    }
+    return nodes;
+  }
+
   resolveUrl(url) {
     if (url.match(/^https?:\/\//)) {
       return url;
@@ -187,41 +402,409 @@ class ESIProcessor {
     }
   }
 
-  async processESI() {
+  async processESI(runStartedAt = Date.now()) {
     debugLog('=== STARTING ESI PROCESSING ===');
     if (!this.enabled) {
       debugLog('ESI processing disabled, skipping');
       return;
     }
+    if (!this.profile) {
+      debugLog('No profile matches this page, skipping');
+      return;
+    }
+
+    // Restored ESI markup would otherwise be fetched again as new fragments
+    this.setPageResolved(true);
 
     // Reset processed elements for this run
     this.processedElements.clear();
+    this.startRun(runStartedAt);
 
-    // First process try blocks (they contain includes)
-    await this.processESITryBlocks();
-    
-    // Then process standalone includes that aren't in try blocks
-    await this.processStandaloneESITags();
-    
-    // Finally process comments
-    await this.processESIComments();
+    await this.processESIInRoot(document.documentElement, ROOT_INCLUDE_CONTEXT);
     
     debugLog('ESI processing complete, saving stats...');
     this.saveStats();
     debugLog('=== ESI PROCESSING FINISHED ===');
   }
 
-  async processESITryBlocks() {
+  // Observer mode resolves ESI markup that scripts add after the initial run,
+  // e.g. single-page-app shells and lazy-loaded sections
+  updateMutationObserver() {
+    const observe = this.enabled && !!this.profile && this.observeMutations;
+    if (observe && !this.mutationObserver) {
+      debugLog('Starting ESI mutation observer');
+      this.mutationObserver = new MutationObserver(mutations => this.handleMutations(mutations));
+      this.mutationObserver.observe(document.documentElement, { childList: true, subtree: true });
+    } else if (!observe && this.mutationObserver) {
+      debugLog('Stopping ESI mutation observer');
+      this.mutationObserver.disconnect();
+      this.mutationObserver = null;
+      clearTimeout(this.mutationTimer);
+      this.mutationRoots.clear();
+    }
+  }
+
+  handleMutations(mutations) {
+    mutations.forEach(mutation => {
+      mutation.addedNodes.forEach(node => {
+        // Our own containers, marker-delimited fragments and their content are handled
+        // by the run that inserted them, the overlay redraws on every layout change
+        const parent = node.parentElement;
+        if (!parent || parent.closest('[data-esi-fragment]') || parent.closest(OVERLAY_ELEMENT_SELECTOR) ||
+            (node.nodeType === Node.ELEMENT_NODE && node.matches(OVERLAY_ELEMENT_SELECTOR))) {
+          return;
+        }
+        // Searching the siblings for markers costs more, only nodes with ESI get there
+        if (!this.containsESIMarkup(node) || this.isBetweenFragmentMarkers(node)) {
+          return;
+        }
+        this.mutationRoots.add(parent);
+      });
+    });
+
+    if (this.mutationRoots.size) {
+      clearTimeout(this.mutationTimer);
+      this.mutationTimer = setTimeout(() => this.processMutationRoots(), MUTATION_DEBOUNCE);
+    }
+  }
+
+  // Whether the node or one of its ancestors follows an ESI Fragment start marker
+  // whose end marker has not come yet
+  isBetweenFragmentMarkers(node) {
+    for (let current = node; current && current.parentNode; current = current.parentNode) {
+      const closedIds = new Set();
+      for (let sibling = current.previousSibling; sibling; sibling = sibling.previousSibling) {
+        if (sibling.nodeType !== Node.COMMENT_NODE) {
+          continue;
+        }
+        const end = sibling.nodeValue.match(/^ \/ESI Fragment (\d+) $/);
+        const start = sibling.nodeValue.match(/^ ESI Fragment (\d+): /);
+        if (end) {
+          closedIds.add(end[1]);
+        } else if (start && !closedIds.has(start[1])) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  // Runs for every added node, so large subtrees are searched instead of serialized
+  containsESIMarkup(node) {
+    const isESIComment = comment => /<esi:|^esi\s/.test(comment.nodeValue || '');
+    if (node.nodeType === Node.COMMENT_NODE) {
+      return isESIComment(node);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || node.hasAttribute('data-esi-fragment')) {
+      return false;
+    }
+    if (node.matches(ESI_ELEMENT_SELECTOR) || node.querySelector(ESI_ELEMENT_SELECTOR)) {
+      return true;
+    }
+    const walker = document.createTreeWalker(node, NodeFilter.SHOW_COMMENT, null, false);
+    while (walker.nextNode()) {
+      if (isESIComment(walker.currentNode)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  async processMutationRoots() {
+    // Roots inside other roots are covered by those
+    const roots = Array.from(this.mutationRoots).filter(root => root.isConnected);
+    this.mutationRoots.clear();
+    const outermost = roots.filter(root => !roots.some(other => other !== root && other.contains(root)));
+
+    debugLog(`=== PROCESSING ESI MARKUP ADDED AFTER LOAD (${outermost.length} roots) ===`);
+    this.startRun();
+    // processedElements is kept, so nothing from earlier runs is fetched again
+    await Promise.all(outermost.map(root => this.processESIInRoot(root, ROOT_INCLUDE_CONTEXT)));
+    this.saveStats();
+  }
+
+  // context describes where root sits in the include tree: the fragment that
+  // contains it, its nesting depth and the resolved URLs of all its ancestors
+  async processESIInRoot(root, context) {
+    if (!root) {
+      debugLog('Root element not available');
+      return;
+    }
+
+    // Turn <!--esi ... --> comments into live markup first, they may contain any ESI tag
+    this.unwrapESIComments(root);
+
+    // Strip esi:remove blocks and esi:comment tags
+    this.processESIRemoveTags(root);
+
+    // Expand esi:vars blocks, they may contain includes
+    this.processESIVarsBlocks(root);
+
+    // Drop the esi:choose branches that were not chosen
+    this.processESIChooseBlocks(root, context);
+    this.processESIChooseComments(root, context);
+
+    // The passes below only start their fragments, which are then fetched in
+    // parallel through fetchQueue and inserted as soon as each one arrives
+    const pending = [
+      // Try blocks first (they contain includes)
+      ...this.processESITryBlocks(root, context),
+      // Then standalone includes that aren't in try blocks
+      ...this.processStandaloneESITags(root, context),
+      // Finally comments
+      ...this.processESIComments(root, context)
+    ];
+    await Promise.all(pending);
+  }
+
+  // The passes below search root, an element or a document fragment. Marker-delimited
+  // fragments have no element of their own, for them root is their { start, end }
+  // markers and only the nodes between those are searched.
+  getScopeNodes(root) {
+    return root instanceof Node ? [root] : this.getNodesBetweenMarkers(root);
+  }
+
+  isInScope(root, node) {
+    return this.getScopeNodes(root).some(scopeNode => scopeNode.contains(node));
+  }
+
+  // Matching elements in document order, like querySelectorAll
+  findElements(root, selector) {
+    if (root instanceof Node) {
+      return Array.from(root.querySelectorAll(selector));
+    }
+    return this.getScopeNodes(root)
+      .filter(node => node.nodeType === Node.ELEMENT_NODE)
+      .flatMap(node => [...(node.matches(selector) ? [node] : []), ...node.querySelectorAll(selector)]);
+  }
+
+  // Comment nodes in document order
+  findComments(root) {
+    const comments = [];
+    this.getScopeNodes(root).forEach(scopeNode => {
+      if (scopeNode.nodeType === Node.COMMENT_NODE) {
+        comments.push(scopeNode);
+        return;
+      }
+      const walker = document.createTreeWalker(scopeNode, NodeFilter.SHOW_COMMENT, null, false);
+      let node;
+      while (node = walker.nextNode()) {
+        comments.push(node);
+      }
+    });
+    return comments;
+  }
+
+  // Comments in root without those after the opening comment of a try block split
+  // over several comments up to its closing one. They belong to the try block, its
+  // except branch is only rendered when the attempt fails.
+  findCommentsOutsideTryComments(root) {
+    const comments = this.findComments(root);
+    const outside = [];
+    let tryEnd = null;
+    for (const node of comments) {
+      if (tryEnd) {
+        if (node === tryEnd) {
+          tryEnd = null;
+        }
+        continue;
+      }
+      outside.push(node);
+      const comment = node.nodeValue;
+      if (comment && comment.includes('<esi:try>') && !comment.includes('</esi:try>')) {
+        const closingComment = this.findClosingTryComment(node);
+        tryEnd = comments.includes(closingComment) ? closingComment : null;
+      }
+    }
+    return outside;
+  }
+
+  unwrapESIComments(root) {
+    debugLog('--- Unwrapping <!--esi --> Comments ---');
+
+    const esiComments = this.findCommentsOutsideTryComments(root).filter(node => node.nodeValue && /^esi\s/.test(node.nodeValue));
+
+    debugLog(`Found ${esiComments.length} <!--esi --> comments`);
+
+    esiComments.forEach(commentNode => {
+      const markup = commentNode.nodeValue.substring(3);
+
+      // Try blocks split over several comments are left to processESIComments
+      if (!this.hasBalancedESITags(markup)) {
+        debugLog('ESI comment has unbalanced ESI tags, leaving it for comment processing');
+        return;
+      }
+      if (!commentNode.parentNode) {
+        return;
+      }
+
+      const template = document.createElement('template');
+      template.innerHTML = markup;
+      commentNode.parentNode.replaceChild(template.content, commentNode);
+    });
+  }
+
+  hasBalancedESITags(markup) {
+    return ['try', 'attempt', 'except', 'choose', 'when', 'otherwise', 'vars', 'remove'].every(tag => {
+      const opening = (markup.match(new RegExp(`<esi:${tag}[\\s>]`, 'gi')) || []).length;
+      const closing = (markup.match(new RegExp(`</esi:${tag}\\s*>`, 'gi')) || []).length;
+      return opening === closing;
+    });
+  }
+
+  processESIRemoveTags(root) {
+    debugLog('--- Processing ESI Remove and Comment Tags ---');
+
+    const removeBlocks = this.findElements(root, 'esi\\:remove, ESI\\:REMOVE');
+    debugLog(`Found ${removeBlocks.length} ESI remove blocks`);
+    removeBlocks.forEach(removeBlock => {
+      if (removeBlock.parentNode) {
+        removeBlock.parentNode.removeChild(removeBlock);
+      }
+    });
+
+    const commentTags = this.findElements(root, 'esi\\:comment, ESI\\:COMMENT');
+    debugLog(`Found ${commentTags.length} ESI comment tags`);
+    commentTags.forEach(commentTag => {
+      if (!commentTag.parentNode) {
+        return;
+      }
+      // The HTML parser ignores the self-closing slash, so following
+      // siblings end up inside the tag and have to be moved back out
+      while (commentTag.firstChild) {
+        commentTag.parentNode.insertBefore(commentTag.firstChild, commentTag);
+      }
+      commentTag.parentNode.removeChild(commentTag);
+    });
+  }
+
+  processESIVarsBlocks(root) {
+    debugLog('--- Processing ESI Vars Blocks ---');
+
+    const varsBlocks = this.findElements(root, 'esi\\:vars, ESI\\:VARS');
+    debugLog(`Found ${varsBlocks.length} ESI vars blocks`);
+
+    // Innermost blocks come last in document order, so walk backwards
+    varsBlocks.reverse().forEach(varsBlock => {
+      if (!varsBlock.parentNode) {
+        return;
+      }
+      const template = document.createElement('template');
+      // Cookie and query values are escaped, they must not add markup to the page
+      template.innerHTML = this.variables.substitute(varsBlock.innerHTML, escapeVariableMarkup);
+      varsBlock.parentNode.replaceChild(template.content, varsBlock);
+    });
+  }
+
+  processESIChooseBlocks(root, context) {
+    debugLog('--- Processing ESI Choose Blocks ---');
+
+    const chooseBlocks = this.findElements(root, 'esi\\:choose, ESI\\:CHOOSE');
+    debugLog(`Found ${chooseBlocks.length} ESI choose blocks`);
+
+    // Outer blocks come first, nested blocks in discarded branches are detached by then
+    for (const chooseBlock of chooseBlocks) {
+      if (!chooseBlock.parentNode || !this.isInScope(root, chooseBlock)) {
+        debugLog('Choose block no longer in document, skipping');
+        continue;
+      }
+      const chosen = this.evaluateChooseBlock(chooseBlock, context);
+      chooseBlock.parentNode.replaceChild(chosen, chooseBlock);
+    }
+  }
+
+  processESIChooseComments(root, context) {
+    debugLog('--- Processing ESI Choose Comments ---');
+
+    const chooseComments = this.findComments(root).filter(node => node.nodeValue && node.nodeValue.includes('<esi:choose'));
+
+    debugLog(`Found ${chooseComments.length} ESI choose comments`);
+
+    chooseComments.forEach(commentNode => {
+      if (!commentNode.parentNode) {
+        return;
+      }
+      // Parse the comment so it can be evaluated like the tag form
+      const template = document.createElement('template');
+      template.innerHTML = commentNode.nodeValue;
+      this.processESIChooseBlocks(template.content, context);
+      commentNode.parentNode.replaceChild(template.content, commentNode);
+    });
+  }
+
+  // Returns a fragment holding the content of the first matching esi:when,
+  // or of esi:otherwise when none matches
+  evaluateChooseBlock(chooseBlock, context) {
+    const decision = {
+      parentId: context.parentId,
+      branch: 'none',
+      tests: [],
+      timestamp: Date.now()
+    };
+    let chosenBranch = null;
+    let otherwiseBranch = null;
+
+    for (const branch of Array.from(chooseBlock.children)) {
+      const tagName = branch.tagName.toLowerCase();
+
+      if (tagName === 'esi:otherwise') {
+        otherwiseBranch = otherwiseBranch || branch;
+      } else if (tagName === 'esi:when') {
+        const test = branch.getAttribute('test') || '';
+        let result = false;
+        let error = null;
+        try {
+          result = this.expressions.evaluate(test);
+        } catch (e) {
+          debugLog('Failed to evaluate ESI test:', test, e);
+          error = e.message;
+        }
+        decision.tests.push({ test: test, result: result, error: error });
+        debugLog(`ESI when test "${test}" evaluated to`, result);
+        if (result) {
+          decision.branch = 'when';
+          decision.test = test;
+          chosenBranch = branch;
+          break;
+        }
+      }
+    }
+
+    if (!chosenBranch && otherwiseBranch) {
+      decision.branch = 'otherwise';
+      chosenBranch = otherwiseBranch;
+    }
+
+    this.stats.decisions.push(decision);
+
+    const chosen = document.createDocumentFragment();
+    if (chosenBranch) {
+      while (chosenBranch.firstChild) {
+        chosen.appendChild(chosenBranch.firstChild);
+      }
+    }
+    return chosen;
+  }
+
+  processESITryBlocks(root, context) {
     debugLog('--- Processing ESI Try Blocks ---');
     
-    const tryBlocks = document.querySelectorAll('esi\\:try, ESI\\:TRY');
+    const tryBlocks = this.findElements(root, 'esi\\:try, ESI\\:TRY');
     debugLog(`Found ${tryBlocks.length} ESI try blocks`);
+    const pending = [];
 
     for (const tryBlock of tryBlocks) {
       if (this.processedElements.has(tryBlock)) {
         debugLog('Try block already processed, skipping');
         continue;
       }
+      // Nested in a try block that is being resolved, its replacement brings the
+      // nested block back if the page shows it
+      const outerTryBlock = tryBlock.parentElement && tryBlock.parentElement.closest('esi\\:try, ESI\\:TRY');
+      if (outerTryBlock && this.processedElements.has(outerTryBlock)) {
+        debugLog('Try block nested in a pending try block, skipping');
+        continue;
+      }
 
       debugLog('Processing ESI try block:', tryBlock);
       
@@ -233,13 +816,14 @@ class ESIProcessor {
           debugLog('Found include in try block with src:', src);
           this.processedElements.add(tryBlock);
           this.processedElements.add(includeTag); // Mark include as processed too
-          await this.fetchAndReplaceESI(tryBlock, src, null, true); // true = is try block
+          pending.push(this.fetchAndReplaceESI(tryBlock, src, null, true, this.getIncludeAttributes(includeTag), context)); // true = is try block
         }
       }
     }
+    return pending;
   }
 
-  async processStandaloneESITags() {
+  processStandaloneESITags(root, context) {
     debugLog('--- Processing Standalone ESI Tags ---');
     
     const selectors = [
@@ -252,11 +836,11 @@ class ESIProcessor {
     let standaloneIncludes = [];
     selectors.forEach(selector => {
       try {
-        const tags = document.querySelectorAll(selector);
+        const tags = this.findElements(root, selector);
         debugLog(`Found ${tags.length} tags with selector: ${selector}`);
         
         // Only process those that aren't inside try blocks and haven't been processed
-        Array.from(tags).forEach(tag => {
+        tags.forEach(tag => {
           if (!this.processedElements.has(tag) && !this.isInsideESITryBlock(tag)) {
             standaloneIncludes.push(tag);
           }
@@ -267,6 +851,7 @@ class ESIProcessor {
     });
 
     debugLog(`Found ${standaloneIncludes.length} standalone ESI includes`);
+    const pending = [];
 
     for (const tag of standaloneIncludes) {
       if (this.processedElements.has(tag)) {
@@ -277,9 +862,10 @@ class ESIProcessor {
       const src = tag.getAttribute('src');
       if (src) {
         this.processedElements.add(tag);
-        await this.fetchAndReplaceESI(tag, src);
+        pending.push(this.fetchAndReplaceESI(tag, src, null, false, this.getIncludeAttributes(tag), context));
       }
     }
+    return pending;
   }
 
   isInsideESITryBlock(element) {
@@ -296,25 +882,12 @@ class ESIProcessor {
     return false;
   }
 
-  async processESIComments() {
+  processESIComments(root, context) {
     debugLog('--- Processing ESI Comments ---');
     
-    if (!document.documentElement) {
-      debugLog('Document element not available');
-      return;
-    }
-    
-    const walker = document.createTreeWalker(
-      document.documentElement,
-      NodeFilter.SHOW_COMMENT,
-      null,
-      false
-    );
-
     const esiComments = [];
-    let node;
 
-    while (node = walker.nextNode()) {
+    for (const node of this.findCommentsOutsideTryComments(root)) {
       if (this.processedElements.has(node)) {
         continue;
       }
@@ -327,6 +900,7 @@ class ESIProcessor {
     }
 
     debugLog(`Found ${esiComments.length} unprocessed ESI comments`);
+    const pending = [];
 
     for (const commentNode of esiComments) {
       if (this.processedElements.has(commentNode)) {
@@ -335,21 +909,22 @@ class ESIProcessor {
       
       debugLog('Processing ESI comment...');
       this.processedElements.add(commentNode);
-      await this.processESIComment(commentNode);
+      pending.push(this.processESIComment(commentNode, context));
     }
+    return pending;
   }
 
-  async processESIComment(commentNode) {
+  async processESIComment(commentNode, context) {
     const comment = commentNode.nodeValue;
     debugLog('Processing ESI comment:', comment.substring(0, 200) + '...');
     
     // Handle ESI try blocks
     if (comment.includes('<esi:try>')) {
-      const srcMatch = comment.match(/<esi:include[^>]+src=["']([^"']+)["'][^>]*>/);
-      if (srcMatch) {
-        const url = srcMatch[1];
+      const includeMatch = comment.match(/<esi:include[^>]+src=["']([^"']+)["'][^>]*>/);
+      if (includeMatch) {
+        const url = includeMatch[1];
         debugLog('Found ESI include in try comment with src:', url);
-        await this.fetchAndReplaceESI(commentNode, url, comment, true);
+        await this.fetchAndReplaceESI(commentNode, url, comment, true, this.parseIncludeAttributes(includeMatch[0]), context);
       }
       return;
     }
@@ -359,15 +934,38 @@ class ESIProcessor {
     if (srcMatch) {
       const url = srcMatch[1];
       debugLog('Found ESI include in comment with src:', url);
-      await this.fetchAndReplaceESI(commentNode, url);
+      await this.fetchAndReplaceESI(commentNode, url, null, false, this.parseIncludeAttributes(comment), context);
     }
   }
 
-  async fetchAndReplaceESI(element, url, originalComment = null, isTryBlock = false) {
+  getIncludeAttributes(tag) {
+    return {
+      alt: tag.getAttribute('alt') || null,
+      onerror: tag.getAttribute('onerror') || null,
+      timeout: tag.getAttribute('timeout') || null
+    };
+  }
+
+  parseIncludeAttributes(markup) {
+    // Leading whitespace keeps e.g. alt= from matching inside data-alt=
+    const readAttribute = (name) => {
+      const match = markup.match(new RegExp(`\\s${name}=["']([^"']*)["']`));
+      return match ? match[1] : null;
+    };
+    return {
+      alt: readAttribute('alt'),
+      onerror: readAttribute('onerror'),
+      timeout: readAttribute('timeout')
+    };
+  }
+
+  async fetchAndReplaceESI(element, url, originalComment = null, isTryBlock = false, includeAttributes = {}, context = ROOT_INCLUDE_CONTEXT) {
     debugLog('=== FETCHING AND REPLACING ESI ===');
     debugLog('Element:', element.nodeType === Node.COMMENT_NODE ? 'COMMENT' : 'ELEMENT');
     debugLog('URL:', url);
+    debugLog('Include attributes:', includeAttributes);
     debugLog('Is try block:', isTryBlock);
+    debugLog('Include depth:', context.depth, 'parent fragment:', context.parentId);
     
     // Check if element still has a parent before proceeding
     if (!element.parentNode) {
@@ -375,141 +973,605 @@ class ESIProcessor {
       return;
     }
     
-    this.stats.total++;
     this.fragmentCounter++;
 
     const fragmentId = this.fragmentCounter;
     const fragmentMarkerId = `esi-fragment-${fragmentId}`;
 
-    try {
-      const resolvedUrl = this.resolveUrl(url);
-      debugLog(`Fetching ESI fragment ${fragmentId}: ${url} -> ${resolvedUrl}`);
+    // src is tried first, alt only when src fails
+    const candidateUrls = includeAttributes.alt ? [url, includeAttributes.alt] : [url];
+    // Every URL the include may be served from, "fail this fragment" fails them all
+    const resolvedCandidateUrls = candidateUrls.map(candidateUrl => this.resolveUrl(this.variables.substitute(candidateUrl)));
+    const timeout = this.parseFragmentTimeout(includeAttributes.timeout, this.fragmentTimeout);
+    const attempts = [];
 
-      const headers = {
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'X-Requested-With': 'XMLHttpRequest'
-      };
+    // Fetched or fallback content is searched for nested includes afterwards
+    let nestedRoot = null;
+    let nestedContext = context;
 
-      // Forward original request headers if enabled
-      if (this.forwardHeaders) {
-        // Get common headers that should be forwarded
-        const headersToForward = [
-          'User-Agent', 'Accept-Language', 'Accept-Encoding',
-          'Cache-Control', 'Pragma', 'DNT'
-        ];
-        
-        headersToForward.forEach(headerName => {
-          // Note: We can't access all original headers due to browser security,
-          // but we can forward the most common ones
-          if (navigator.userAgent && headerName === 'User-Agent') {
-            headers['User-Agent'] = navigator.userAgent;
-          }
-          if (navigator.language && headerName === 'Accept-Language') {
-            headers['Accept-Language'] = navigator.language;
-          }
-        });
-        
-        debugLog('Forwarding request headers enabled');
-      }
-
-      // Add custom headers
-      this.customHeaders.forEach(header => {
-        if (header.name && header.value) {
-          headers[header.name] = header.value;
-          debugLog('Added custom header:', header.name, '=', header.value);
-        }
-      });
-
-      debugLog('Making fetch request...');
-      const fetchOptions = {
-        method: 'GET',
-        headers: headers,
-        credentials: this.forwardCookies ? 'include' : 'same-origin'
-      };
+    let fetched = null;
+    let fetchError = null;
+    const startTime = Date.now();
+    try {
+      fetched = await this.fetchCandidates(candidateUrls, context, fragmentId, attempts, timeout);
+    } catch (error) {
+      fetchError = error;
+    }
+    const duration = Date.now() - startTime;
 
-      const response = await fetch(resolvedUrl, fetchOptions);
+    // Other fragments may have replaced the surrounding markup while we were fetching
+    if (!element.isConnected) {
+      debugLog(`Element of fragment ${fragmentId} was detached while fetching, skipping`);
+      return;
+    }
 
-      debugLog('Fetch response status:', response.status, response.statusText);
+    this.stats.total++;
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    try {
+      if (fetchError) {
+        throw fetchError;
       }
 
-      const content = await response.text();
-      debugLog(`Successfully fetched content for fragment ${fragmentId}, length:`, content.length);
-      
-      // Create replacement element
-      const container = document.createElement('div');
-      container.id = fragmentMarkerId;
-      container.style.display = 'contents';
-      container.setAttribute('data-esi-fragment', 'true');
-      container.setAttribute('data-esi-url', url);
-      container.setAttribute('data-esi-resolved-url', resolvedUrl);
-      
-      // Add debug comment
-      const markerComment = document.createComment(`ESI Fragment ${fragmentId}: ${url}`);
-      container.appendChild(markerComment);
-      
-      // Add the actual content with script extraction
-      const contentWrapper = document.createElement('div');
-      contentWrapper.style.display = 'contents';
+      debugLog(`Successfully fetched content for fragment ${fragmentId}, length:`, fetched.content.length);
       
-      // Extract and execute scripts if enabled
-      const processedContent = await this.extractAndExecuteScripts(content, contentWrapper);
-      contentWrapper.innerHTML = processedContent;
-      
-      container.appendChild(contentWrapper);
+      // Create replacement element, or marker comments where no wrapper is allowed
+      const parent = element.parentNode;
+      const useMarkers = this.usesMarkerComments(parent);
+      const container = useMarkers ?
+        await this.createFragmentMarkers(fragmentId, fetched.url, this.getFragmentMarkup(fetched), parent) :
+        await this.createFragmentContainer(fragmentId, fetched.url, fetched.resolvedUrl, this.getFragmentMarkup(fetched));
+      const markers = useMarkers ? { start: container.firstChild, end: container.lastChild } : null;
 
-      debugLog('Created replacement container with ID:', fragmentMarkerId);
+      debugLog(`Created replacement ${useMarkers ? 'marker comments' : 'container'} with ID:`, fragmentMarkerId);
 
       // Replace the ESI element
-      this.replaceESIElement(element, container, originalComment, isTryBlock);
+      const originalNodes = this.replaceESIElement(element, container, originalComment, isTryBlock);
+      this.rememberOriginalMarkup(fragmentId, markers ? null : [container], originalNodes, markers);
 
       this.stats.successful++;
       this.stats.fragments.push({
         id: fragmentId,
         url: url,
-        resolvedUrl: resolvedUrl,
+        resolvedUrl: fetched.resolvedUrl,
+        rewrittenUrl: fetched.rewrittenUrl,
+        mocked: fetched.mocked,
+        fault: getInjectedFault(attempts),
+        servedBy: fetched.url,
+        cacheStatus: fetched.cacheStatus,
+        candidateUrls: resolvedCandidateUrls,
+        timeout: timeout,
+        attempts: attempts,
+        parentId: context.parentId,
+        depth: context.depth,
+        ...getFragmentTiming(fetched.metadata, startTime, startTime + duration),
+        size: fetched.metadata.size,
+        status: fetched.metadata.status,
+        contentType: fetched.metadata.contentType,
+        responseHeaders: fetched.metadata.headers,
         success: true,
         timestamp: Date.now()
       });
 
+      this.rememberFragmentSource(fragmentId, fetched);
       debugLog(`✓ Successfully replaced ESI fragment ${fragmentId}`);
 
+      // Marker-delimited content has no element of its own, only the nodes between the markers are searched
+      nestedRoot = markers || container;
+      nestedContext = {
+        parentId: fragmentId,
+        depth: context.depth + 1,
+        ancestors: [...context.ancestors, fetched.resolvedUrl]
+      };
+
     } catch (error) {
       debugLog(`✗ Failed to fetch ESI fragment ${fragmentId}:`, error);
+
+      // Real ESI renders the esi:except branch when the attempt fails
+      const exceptMarkup = isTryBlock ? this.getExceptMarkup(element) : null;
+      const continueOnError = exceptMarkup === null && includeAttributes.onerror === 'continue';
+      const parent = element.parentNode;
+      const useMarkers = this.usesMarkerComments(parent);
+      // Variables are substituted even when no attempt was made, e.g. past the include depth
+      const resolvedUrl = attempts.length ? attempts[0].resolvedUrl : this.resolveUrl(this.variables.substitute(url));
+      let replacement;
+
+      if (exceptMarkup !== null) {
+        debugLog(`Rendering esi:except branch for fragment ${fragmentId}`);
+        if (useMarkers) {
+          replacement = await this.createFragmentMarkers(fragmentId, url, exceptMarkup, parent);
+        } else {
+          replacement = await this.createFragmentContainer(fragmentId, url, resolvedUrl, exceptMarkup);
+          replacement.setAttribute('data-esi-except', 'true');
+        }
+        // The except branch belongs to the including document, so it keeps our context
+        nestedRoot = useMarkers ? { start: replacement.firstChild, end: replacement.lastChild } : replacement;
+      } else if (continueOnError) {
+        // onerror="continue" drops the include silently, only a marker comment stays
+        debugLog(`Removing ESI fragment ${fragmentId} (onerror="continue")`);
+        replacement = document.createComment(`ESI Fragment ${fragmentId}: ${url} (REMOVED, onerror="continue")`);
+      } else if (useMarkers) {
+        // No error box fits here, the empty markers keep the spot for a reload
+        replacement = await this.createFragmentMarkers(fragmentId, `${url} (FAILED)`, '', parent);
+      } else {
+        // Create error element
+        replacement = document.createElement('div');
+        replacement.id = fragmentMarkerId;
+        replacement.className = 'esi-error';
+        replacement.setAttribute('data-esi-fragment', 'true');
+        replacement.setAttribute('data-esi-url', url);
+        replacement.setAttribute('data-esi-resolved-url', resolvedUrl);
+        replacement.style.cssText = 'color: red; border: 1px solid red; padding: 10px; margin: 5px; background: #ffe6e6;';
+        // Error messages can carry substituted cookie and query values
+        replacement.innerHTML = `
+          <!-- ESI Fragment ${fragmentId}: ${escapeFragmentText(url)} (FAILED) -->
+          <strong>ESI Error:</strong> Failed to load ${escapeFragmentText(candidateUrls.join(', '))}<br>
+          <small>${escapeFragmentText(error.message)}</small>
+        `;
+      }
       
-      // Create error element
-      const errorDiv = document.createElement('div');
-      errorDiv.id = fragmentMarkerId;
-      errorDiv.className = 'esi-error';
-      errorDiv.setAttribute('data-esi-fragment', 'true');
-      errorDiv.setAttribute('data-esi-url', url);
-      errorDiv.setAttribute('data-esi-resolved-url', this.resolveUrl(url));
-      errorDiv.style.cssText = 'color: red; border: 1px solid red; padding: 10px; margin: 5px; background: #ffe6e6;';
-      errorDiv.innerHTML = `
-        <!-- ESI Fragment ${fragmentId}: ${url} (FAILED) -->
-        <strong>ESI Error:</strong> Failed to load ${url}<br>
-        <small>${error.message}</small>
-      `;
-      
-      // Replace with error (check parent still exists)
+      // Replace with error or fallback (check parent still exists)
       if (element.parentNode) {
-        this.replaceESIElement(element, errorDiv, originalComment, isTryBlock);
+        const markers = replacement.nodeType === Node.DOCUMENT_FRAGMENT_NODE ?
+          { start: replacement.firstChild, end: replacement.lastChild } : null;
+        const originalNodes = this.replaceESIElement(element, replacement, originalComment, isTryBlock);
+        this.rememberOriginalMarkup(fragmentId, markers ? null : [replacement], originalNodes, markers);
       }
 
       this.stats.failed++;
       this.stats.fragments.push({
         id: fragmentId,
         url: url,
-        resolvedUrl: this.resolveUrl(url),
+        resolvedUrl: resolvedUrl,
+        rewrittenUrl: attempts.length ? attempts[0].rewrittenUrl : rewriteFragmentUrl(this.rewriteRules, resolvedUrl),
+        mocked: attempts.some(attempt => attempt.mocked),
+        fault: getInjectedFault(attempts),
+        candidateUrls: resolvedCandidateUrls,
+        timeout: timeout,
+        attempts: attempts,
+        parentId: context.parentId,
+        depth: context.depth,
+        startTime: startTime,
+        duration: duration,
+        status: error.status || null,
         success: false,
+        fallback: exceptMarkup !== null,
+        continued: continueOnError,
         error: error.message,
+        errorType: error.type || 'fetch',
         timestamp: Date.now()
       });
     }
 
     this.saveStats();
+
+    if (nestedRoot) {
+      await this.processESIInRoot(nestedRoot, nestedContext);
+    }
+  }
+
+  // Fetches one fragment again, bypassing the fragment cache, and swaps the new
+  // content into its container. Only its own stats entry changes, nested
+  // fragments inside it are resolved again as new fragments.
+  async reloadFragment(fragmentId) {
+    debugLog('=== RELOADING ESI FRAGMENT ===', fragmentId);
+    const fragment = this.stats.fragments.find(f => f.id === fragmentId);
+    const element = document.getElementById(`esi-fragment-${fragmentId}`);
+    const markers = element ? null : this.findFragmentMarkers(fragmentId);
+    if (!fragment || (!element && !markers)) {
+      debugLog('Fragment or its container not found:', fragmentId);
+      return { success: false, error: 'Fragment is not on the page anymore' };
+    }
+
+    // src and alt, in the order they were tried
+    const candidateUrls = [...new Set((fragment.attempts || []).map(attempt => attempt.url))];
+    if (candidateUrls.length === 0) {
+      candidateUrls.push(fragment.url);
+    }
+    const context = { parentId: fragment.parentId, depth: fragment.depth || 0, ancestors: this.getAncestorUrls(fragment) };
+    // The include's own timeout attribute, recorded when it was first resolved
+    const timeout = fragment.timeout !== undefined ? fragment.timeout : this.fragmentTimeout;
+    const attempts = [];
+    const wasSuccessful = fragment.success;
+    this.startRun();
+    const startTime = Date.now();
+
+    let fetched;
+    try {
+      fetched = await this.fetchCandidates(candidateUrls, context, fragmentId, attempts, timeout, { bypassCache: true });
+    } catch (error) {
+      // The current content and what the entry says about it stay, only the failed reload is recorded
+      debugLog(`✗ Reloading fragment ${fragmentId} failed:`, error);
+      fragment.lastReloadError = error.message;
+      fragment.reloadedAt = Date.now();
+      this.saveStats();
+      return { success: false, error: error.message };
+    }
+
+    this.removeDescendantStats(fragmentId);
+
+    let container = element;
+    if (markers) {
+      this.getNodesBetweenMarkers(markers).forEach(node => node.remove());
+      markers.start.nodeValue = ` ESI Fragment ${fragmentId}: ${fetched.url} `;
+      markers.end.parentNode.insertBefore(await this.parseFragmentContent(this.getFragmentMarkup(fetched), markers.end, markers.end.parentNode), markers.end);
+    } else if (element.classList.contains('esi-error')) {
+      // The error box becomes a regular container
+      container = await this.createFragmentContainer(fragmentId, fetched.url, fetched.resolvedUrl, this.getFragmentMarkup(fetched));
+      element.replaceWith(container);
+      if (this.originalMarkup.has(fragmentId)) {
+        this.originalMarkup.get(fragmentId).resolved = [container];
+      }
+    } else {
+      container.removeAttribute('data-esi-except');
+      container.setAttribute('data-esi-resolved-url', fetched.resolvedUrl);
+      await this.fillFragmentContainer(container, fragmentId, fetched.url, this.getFragmentMarkup(fetched));
+    }
+
+    Object.assign(fragment, {
+      resolvedUrl: fetched.resolvedUrl,
+      rewrittenUrl: fetched.rewrittenUrl,
+      mocked: fetched.mocked,
+      fault: getInjectedFault(attempts),
+      servedBy: fetched.url,
+      cacheStatus: fetched.cacheStatus,
+      attempts: attempts,
+      ...getFragmentTiming(fetched.metadata, startTime, Date.now()),
+      size: fetched.metadata.size,
+      status: fetched.metadata.status,
+      contentType: fetched.metadata.contentType,
+      responseHeaders: fetched.metadata.headers,
+      success: true,
+      fallback: false,
+      continued: false,
+      error: undefined,
+      errorType: undefined,
+      lastReloadError: undefined,
+      reloadedAt: Date.now(),
+      timestamp: Date.now()
+    });
+    this.updateSuccessCounts(wasSuccessful, true);
+    this.rememberFragmentSource(fragmentId, fetched);
+    this.saveStats();
+    debugLog(`✓ Reloaded ESI fragment ${fragmentId}`);
+
+    // Like after the first insertion, only the nodes between the markers are searched
+    await this.processESIInRoot(markers || container, {
+      parentId: fragmentId,
+      depth: context.depth + 1,
+      ancestors: [...context.ancestors, fetched.resolvedUrl]
+    });
+    this.saveStats();
+    return { success: true };
+  }
+
+  // The body exactly as fetchCandidates returned it, before script extraction and insertion
+  rememberFragmentSource(fragmentId, fetched) {
+    // Re-added so a reloaded fragment counts as the newest
+    this.fragmentSources.delete(fragmentId);
+    this.fragmentSources.set(fragmentId, {
+      url: fetched.rewrittenUrl,
+      body: fetched.content,
+      status: fetched.metadata.status,
+      headers: fetched.metadata.headerList || [],
+      cacheStatus: fetched.cacheStatus,
+      mocked: fetched.mocked,
+      fault: fetched.fault
+    });
+    if (this.fragmentSources.size > FRAGMENT_SOURCE_LIMIT) {
+      this.fragmentSources.delete(this.fragmentSources.keys().next().value);
+    }
+  }
+
+  // HTML currently inside the fragment's container, or between its marker
+  // comments. Null for error boxes. Text and JSON fragments were inserted as
+  // text, for them the text is returned so the diff doesn't show escaped characters.
+  getFragmentHtml(fragmentId) {
+    const fragment = this.stats.fragments.find(f => f.id === fragmentId);
+    const asText = !!fragment && getFragmentContentKind(fragment.contentType) !== 'html';
+    const container = document.getElementById(`esi-fragment-${fragmentId}`);
+    if (container) {
+      const contentWrapper = container.lastElementChild;
+      if (container.classList.contains('esi-error') || !contentWrapper) {
+        return null;
+      }
+      return asText ? contentWrapper.textContent : contentWrapper.innerHTML;
+    }
+
+    const markers = this.findFragmentMarkers(fragmentId);
+    if (!markers) {
+      return null;
+    }
+    const holder = document.createElement('template');
+    this.getNodesBetweenMarkers(markers).forEach(node => holder.content.appendChild(node.cloneNode(true)));
+    return asText ? holder.content.textContent : holder.innerHTML;
+  }
+
+  // Resolved URLs of the including fragments, outermost first, for cycle detection
+  getAncestorUrls(fragment) {
+    const ancestors = [];
+    let parent = this.stats.fragments.find(f => f.id === fragment.parentId);
+    while (parent) {
+      ancestors.unshift(parent.resolvedUrl);
+      parent = this.stats.fragments.find(f => f.id === parent.parentId);
+    }
+    return ancestors;
+  }
+
+  updateSuccessCounts(wasSuccessful, isSuccessful) {
+    if (wasSuccessful === isSuccessful) {
+      return;
+    }
+    this.stats.successful += isSuccessful ? 1 : -1;
+    this.stats.failed += isSuccessful ? -1 : 1;
+  }
+
+  // Entries of fragments nested in fragmentId, their markup is replaced on reload
+  removeDescendantStats(fragmentId) {
+    const removed = new Set([fragmentId]);
+    let found = true;
+    while (found) {
+      found = false;
+      this.stats.fragments.forEach(fragment => {
+        if (!removed.has(fragment.id) && removed.has(fragment.parentId)) {
+          removed.add(fragment.id);
+          found = true;
+        }
+      });
+    }
+    removed.delete(fragmentId);
+
+    // Their containers are gone with the parent's old content
+    removed.forEach(id => {
+      this.originalMarkup.delete(id);
+      this.fragmentSources.delete(id);
+    });
+
+    this.stats.fragments = this.stats.fragments.filter(fragment => {
+      if (!removed.has(fragment.id)) {
+        return true;
+      }
+      this.stats.total--;
+      this.stats[fragment.success ? 'successful' : 'failed']--;
+      return false;
+    });
+  }
+
+  // Tries each candidate URL in turn and records every attempt
+  async fetchCandidates(candidateUrls, context, fragmentId, attempts, timeout, options = {}) {
+    if (context.depth > this.maxIncludeDepth) {
+      throw new ESIError(`Maximum include depth of ${this.maxIncludeDepth} exceeded`, 'depth');
+    }
+
+    let lastError = null;
+
+    for (const candidateUrl of candidateUrls) {
+      const resolvedUrl = this.resolveUrl(this.variables.substitute(candidateUrl));
+      const rewrittenUrl = rewriteFragmentUrl(this.rewriteRules, resolvedUrl);
+      const mock = findFragmentMock(this.fragmentMocks, resolvedUrl);
+      const faultRule = findFaultRule(this.faultRules, resolvedUrl);
+      const fault = faultRule ? describeFault(faultRule) : null;
+      try {
+        if (context.ancestors.includes(resolvedUrl)) {
+          throw new ESIError(`Include cycle detected: ${[...context.ancestors, resolvedUrl].join(' -> ')}`, 'cycle');
+        }
+        debugLog(`Fetching ESI fragment ${fragmentId}: ${candidateUrl} -> ${resolvedUrl}`);
+        const fetchNormally = (remainingTimeout) => mock ? this.fetchMock(mock) : this.fetchFragment(rewrittenUrl, remainingTimeout, fragmentId, options);
+        const { content, cacheStatus, retries, metadata } = faultRule ? await fetchWithFault(faultRule, fetchNormally, timeout) : await fetchNormally(timeout);
+        attempts.push({ url: candidateUrl, resolvedUrl: resolvedUrl, rewrittenUrl: rewrittenUrl, mocked: !!mock, fault: fault, success: true, cacheStatus: cacheStatus, retries: retries || 0 });
+        return { url: candidateUrl, resolvedUrl: resolvedUrl, rewrittenUrl: rewrittenUrl, mocked: !!mock, fault: fault, content: content, cacheStatus: cacheStatus, metadata: metadata };
+      } catch (error) {
+        debugLog(`Attempt for fragment ${fragmentId} failed: ${candidateUrl}`, error);
+        attempts.push({ url: candidateUrl, resolvedUrl: resolvedUrl, rewrittenUrl: rewrittenUrl, mocked: !!mock, fault: fault, success: false, error: error.message, errorType: error.type || 'fetch', retries: error.retries || 0 });
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  // Returns the fragment body and whether it came from the fragment cache
+  // (HIT/MISS/STALE, BYPASS when options.bypassCache skipped the lookup)
+  async fetchFragment(resolvedUrl, timeout = this.fragmentTimeout, fragmentId = null, options = {}) {
+    // The background script has no page origin, so same-origin cookies are included explicitly
+    const sameOrigin = new URL(resolvedUrl).origin === window.location.origin;
+    const fetchOptions = {
+      method: 'GET',
+      headers: buildFragmentRequestHeaders(this.customHeaders, this.forwardHeaders),
+      credentials: this.forwardCookies || sameOrigin ? 'include' : 'omit'
+    };
+
+    // Different request headers may produce different fragments, so they are part of the key
+    const cacheKey = JSON.stringify([resolvedUrl, fetchOptions.headers, fetchOptions.credentials]);
+    const cached = options.bypassCache ? { status: 'BYPASS' } : await this.getCachedFragment(cacheKey);
+    if (cached.status === 'HIT') {
+      debugLog('Serving fragment from cache:', resolvedUrl);
+      // Only the body is cached, the response details are not known
+      return {
+        content: cached.content,
+        cacheStatus: 'HIT',
+        metadata: { status: null, contentType: cached.contentType || null, headers: {}, headerList: [], size: this.getByteSize(cached.content), firstByteAt: Date.now() }
+      };
+    }
+
+    const { response, content, retries, sentAt, firstByteAt } = await this.fetchWithRetries(resolvedUrl, fetchOptions, timeout, fragmentId);
+
+    this.storeCachedFragment(cacheKey, resolvedUrl, content, response.headers);
+    return { content: content, cacheStatus: cached.status, retries: retries, metadata: { ...this.describeResponse(response, content, firstByteAt), sentAt: sentAt } };
+  }
+
+  // Status, size and selected headers for the fragment statistics, the full header
+  // list is only kept in memory for the source viewer
+  describeResponse(response, content, firstByteAt) {
+    const headers = {};
+    FRAGMENT_METADATA_HEADERS.forEach(name => {
+      const value = response.headers.get(name);
+      if (value !== null) {
+        headers[name] = value;
+      }
+    });
+    return {
+      status: response.status,
+      contentType: response.headers.get('Content-Type'),
+      headers: headers,
+      headerList: Array.from(response.headers.entries()),
+      size: this.getByteSize(content),
+      firstByteAt: firstByteAt
+    };
+  }
+
+  getByteSize(content) {
+    return new TextEncoder().encode(content).length;
+  }
+
+  // The queue slot is only held for the request itself, not for the backoff
+  async fetchWithRetries(resolvedUrl, fetchOptions, timeout, fragmentId = null) {
+    return fetchWithFragmentRetries(resolvedUrl, this.fragmentRetries, (retries) => this.fetchQueue.run(async () => {
+      debugLog('Making fetch request...', retries ? `(retry ${retries})` : '');
+      const record = {
+        fragmentId: fragmentId,
+        url: resolvedUrl,
+        method: fetchOptions.method,
+        requestHeaders: fetchOptions.headers,
+        credentials: fetchOptions.credentials,
+        startTime: Date.now()
+      };
+      try {
+        const { response, ttfb } = await this.proxyFetch(resolvedUrl, fetchOptions, timeout);
+        Object.assign(record, {
+          ttfb: ttfb,
+          status: response.status,
+          statusText: response.statusText,
+          responseHeaders: Array.from(response.headers.entries()),
+          body: await response.clone().text()
+        });
+        return { response, content: await this.readFragmentResponse(response), sentAt: record.startTime, firstByteAt: record.startTime + ttfb };
+      } catch (error) {
+        record.error = error.message;
+        throw error;
+      } finally {
+        record.duration = Date.now() - record.startTime;
+        this.logRequest(record);
+      }
+    }));
+  }
+
+  // Only requests that went to the network are logged, cache hits and mocks send none
+  logRequest(record) {
+    this.requestLog.push(record);
+    if (this.requestLog.length > REQUEST_LOG_LIMIT) {
+      this.requestLog.splice(0, this.requestLog.length - REQUEST_LOG_LIMIT);
+    }
+  }
+
+  // Fragment requests run in the background script like on a real edge: with the
+  // extension's host permissions they are not bound by CORS or the page's CSP.
+  // Returns the response and the time to its first byte in ms.
+  async proxyFetch(url, fetchOptions, timeout = 0) {
+    let result;
+    try {
+      result = await browserAPI.runtime.sendMessage({
+        action: 'fetchFragment',
+        url: url,
+        options: { headers: fetchOptions.headers, credentials: fetchOptions.credentials, timeout: timeout }
+      });
+    } catch (e) {
+      debugLog('Background fetch not available, fetching from the page:', e);
+      return this.fetchWithTimeout(url, fetchOptions, timeout);
+    }
+
+    if (!result || result.error) {
+      if (result && result.timedOut) {
+        throw new ESIError(`Timed out after ${timeout}ms`, 'timeout');
+      }
+      throw new Error(result ? result.error : 'No response from background script');
+    }
+
+    // Null body statuses must not carry a body
+    const body = [204, 205, 304].includes(result.status) ? null : result.body;
+    const response = new Response(body, {
+      status: result.status,
+      statusText: result.statusText,
+      headers: result.headers
+    });
+    return { response: response, ttfb: result.ttfb || 0 };
+  }
+
+  async fetchWithTimeout(url, fetchOptions, timeout) {
+    const controller = new AbortController();
+    const timer = timeout > 0 ? setTimeout(() => controller.abort(), timeout) : null;
+    const start = Date.now();
+    try {
+      const response = await fetch(url, { ...fetchOptions, signal: controller.signal });
+      const ttfb = Date.now() - start;
+      // Read the body before the timer is cleared, a stalled body counts as a timeout too
+      const body = decodeFragmentBody(await response.arrayBuffer(), response.headers.get('Content-Type'));
+      return {
+        response: new Response([204, 205, 304].includes(response.status) ? null : body, {
+          status: response.status,
+          statusText: response.statusText,
+          headers: response.headers
+        }),
+        ttfb: ttfb
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new ESIError(`Timed out after ${timeout}ms`, 'timeout');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async readFragmentResponse(response) {
+    debugLog('Fetch response status:', response.status, response.statusText);
+
+    checkFragmentResponse(response.status, response.statusText, response.headers.get('Content-Type'));
+
+    // Bodies are decoded with their charset when fetched, the Response holds a string
+    return response.text();
+  }
+
+  // Serves a user-defined response instead of hitting the network, never cached
+  async fetchMock(mock) {
+    const { status, headers: headerList, body } = readFragmentMock(mock);
+    const headers = new Headers();
+    headerList.forEach(([name, value]) => {
+      try {
+        headers.append(name, value);
+      } catch (e) {
+        debugLog('Ignoring invalid mock header:', name);
+      }
+    });
+    // The body is passed on separately, a Response can't carry one for 204 or 205
+    const response = new Response(null, { status: status, statusText: 'Mocked', headers: headers });
+    return { content: body, cacheStatus: null, metadata: this.describeResponse(response, body, Date.now()) };
+  }
+
+  async getCachedFragment(cacheKey) {
+    try {
+      const cached = await browserAPI.runtime.sendMessage({ action: 'getCachedFragment', key: cacheKey });
+      return cached || { status: 'MISS' };
+    } catch (e) {
+      debugLog('Fragment cache not available:', e);
+      return { status: 'MISS' };
+    }
+  }
+
+  async storeCachedFragment(cacheKey, resolvedUrl, content, responseHeaders) {
+    try {
+      await browserAPI.runtime.sendMessage({
+        action: 'storeFragment',
+        key: cacheKey,
+        url: resolvedUrl,
+        content: content,
+        contentType: responseHeaders.get('Content-Type'),
+        cacheControl: responseHeaders.get('Cache-Control'),
+        surrogateControl: responseHeaders.get('Surrogate-Control')
+      });
+    } catch (e) {
+      debugLog('Could not store fragment in cache:', e);
+    }
   }
 
   replaceESIElement(element, replacement, originalComment, isTryBlock = false) {
@@ -520,7 +1582,7 @@ class ESIProcessor {
     
     if (!element.parentNode) {
       debugLog('Element has no parent node, cannot replace!');
-      return;
+      return [];
     }
 
     if (isTryBlock || (originalComment && originalComment.includes('<esi:try>'))) {
@@ -528,18 +1590,270 @@ class ESIProcessor {
       
       if (element.nodeType === Node.COMMENT_NODE) {
         // For comment-based try blocks, find the closing comment
-        this.replaceCommentTryBlock(element, replacement);
-      } else {
-        // For element-based try blocks, replace the entire try element
-        element.parentNode.replaceChild(replacement, element);
-        debugLog('Replaced entire try block element');
+        return this.replaceCommentTryBlock(element, replacement);
       }
+      // For element-based try blocks, replace the entire try element
+      element.parentNode.replaceChild(replacement, element);
+      debugLog('Replaced entire try block element');
     } else {
       // Simple replacement for regular ESI tags/comments
       debugLog('Simple ESI element replacement');
       element.parentNode.replaceChild(replacement, element);
       debugLog('Element replaced successfully');
     }
+    return [element];
+  }
+
+  // Keeps the nodes replaceESIElement removed, so the fragment can be switched back to them.
+  // The nodes between markers change with nested fragments and reloads, they are
+  // collected when the fragment is switched.
+  rememberOriginalMarkup(fragmentId, resolvedNodes, originalNodes, markers = null) {
+    if (originalNodes.length) {
+      this.originalMarkup.set(fragmentId, { resolved: resolvedNodes, markers: markers, original: originalNodes, unresolved: false });
+    }
+  }
+
+  // Swaps a fragment between its resolved nodes and the ESI markup they replaced.
+  // Nothing is fetched, resolving again puts the kept container back.
+  setFragmentResolved(fragmentId, resolved) {
+    const record = this.originalMarkup.get(fragmentId);
+    if (!record) {
+      return { success: false, error: 'The original ESI markup of this fragment is not available' };
+    }
+    if (record.unresolved !== resolved) {
+      return { success: true };
+    }
+
+    if (!resolved && record.markers) {
+      record.resolved = [record.markers.start, ...this.getNodesBetweenMarkers(record.markers), record.markers.end];
+    }
+    const [shown, hidden] = resolved ? [record.original, record.resolved] : [record.resolved, record.original];
+    const anchor = shown.find(node => node.parentNode);
+    if (!anchor) {
+      return { success: false, error: 'Fragment is not on the page anymore' };
+    }
+    hidden.forEach(node => anchor.parentNode.insertBefore(node, anchor));
+    shown.forEach(node => node.remove());
+    debugLog(`Fragment ${fragmentId} switched to its ${resolved ? 'resolved' : 'original ESI'} markup`);
+
+    // The restored ESI markup is not new, observer mode must not resolve it
+    if (this.mutationObserver) {
+      const swapped = new Set(hidden);
+      this.handleMutations(this.mutationObserver.takeRecords().filter(mutation =>
+        !Array.from(mutation.addedNodes).some(node => swapped.has(node))
+      ));
+    }
+
+    record.unresolved = !resolved;
+    const fragment = this.stats.fragments.find(f => f.id === fragmentId);
+    if (fragment) {
+      fragment.unresolved = !resolved;
+    }
+    this.saveStats();
+    return { success: true };
+  }
+
+  // Nested fragments are switched too, they follow their parent's container in and out of the page
+  setPageResolved(resolved) {
+    let changed = 0;
+    this.originalMarkup.forEach((record, fragmentId) => {
+      if (record.unresolved === resolved && this.setFragmentResolved(fragmentId, resolved).success) {
+        changed++;
+      }
+    });
+    debugLog(`Switched ${changed} fragments to their ${resolved ? 'resolved' : 'original ESI'} markup`);
+    return { success: true, changed: changed };
+  }
+
+  // Puts the fragment's original ESI markup back and resolves it from scratch as a
+  // new fragment, so a failure renders like on page load: esi:except branch,
+  // onerror="continue" or the error box. Its entry and nested entries are replaced.
+  // faultRules are the popup's rules, sent along as their storage change may not have arrived yet.
+  async resolveFragmentAgain(fragmentId, faultRules = null) {
+    debugLog('=== RESOLVING ESI FRAGMENT AGAIN ===', fragmentId);
+    const record = this.originalMarkup.get(fragmentId);
+    const fragment = this.stats.fragments.find(f => f.id === fragmentId);
+    if (!record || !fragment) {
+      return { success: false, error: 'The original ESI markup of this fragment is not available' };
+    }
+    const swapped = this.setFragmentResolved(fragmentId, false);
+    if (!swapped.success) {
+      return swapped;
+    }
+
+    const context = { parentId: fragment.parentId, depth: fragment.depth || 0, ancestors: this.getAncestorUrls(fragment) };
+    // Only the restored markup is searched, not the rest of its parent. Temporary
+    // comments around it keep the scope when passes replace the restored nodes.
+    const restored = record.original.filter(node => node.parentNode);
+    const scope = { start: document.createComment(''), end: document.createComment('') };
+    restored[0].parentNode.insertBefore(scope.start, restored[0]);
+    restored[restored.length - 1].parentNode.insertBefore(scope.end, restored[restored.length - 1].nextSibling);
+    this.startRun();
+    this.removeDescendantStats(fragmentId);
+    this.stats.fragments = this.stats.fragments.filter(f => f !== fragment);
+    this.stats.total--;
+    this.stats[fragment.success ? 'successful' : 'failed']--;
+    this.originalMarkup.delete(fragmentId);
+    this.fragmentSources.delete(fragmentId);
+
+    // The restored markup was marked processed when it was found the first time
+    this.processedElements.forEach(node => {
+      if (record.original.some(original => original.contains(node))) {
+        this.processedElements.delete(node);
+      }
+    });
+
+    if (faultRules) {
+      this.faultRules = faultRules;
+    }
+
+    try {
+      await this.processESIInRoot(scope, context);
+    } finally {
+      scope.start.remove();
+      scope.end.remove();
+    }
+    this.saveStats();
+    return { success: true };
+  }
+
+  async createFragmentContainer(fragmentId, url, resolvedUrl, content) {
+    const container = document.createElement('div');
+    container.id = `esi-fragment-${fragmentId}`;
+    container.style.display = 'contents';
+    container.setAttribute('data-esi-fragment', 'true');
+    container.setAttribute('data-esi-url', url);
+    container.setAttribute('data-esi-resolved-url', resolvedUrl);
+    await this.fillFragmentContainer(container, fragmentId, url, content);
+    return container;
+  }
+
+  // Replaces whatever the container holds, also used when a fragment is reloaded
+  async fillFragmentContainer(container, fragmentId, url, content) {
+    container.innerHTML = '';
+
+    // Add debug comment
+    const markerComment = document.createComment(`ESI Fragment ${fragmentId}: ${url}`);
+    container.appendChild(markerComment);
+    
+    // Add the actual content with script extraction
+    const contentWrapper = document.createElement('div');
+    contentWrapper.style.display = 'contents';
+    
+    // Extract and execute scripts if enabled
+    const processedContent = await this.extractAndExecuteScripts(content, contentWrapper);
+    contentWrapper.innerHTML = processedContent;
+    
+    container.appendChild(contentWrapper);
+  }
+
+  // Text and JSON fragments are inserted as text, only HTML is parsed as markup
+  getFragmentMarkup(fetched) {
+    return getFragmentContentKind(fetched.metadata.contentType) === 'html' ? fetched.content : escapeFragmentText(fetched.content);
+  }
+
+  // Whether fragments in parent go between marker comments instead of into a container
+  usesMarkerComments(parent) {
+    if (!parent || parent.nodeType !== Node.ELEMENT_NODE) {
+      return false;
+    }
+    // SVG and MathML have no div either
+    return parent.namespaceURI !== 'http://www.w3.org/1999/xhtml' || MARKER_CONTEXT_PARENTS.has(parent.nodeName.toUpperCase());
+  }
+
+  // Returns a DocumentFragment with the parsed content between start and end
+  // marker comments, the same markers raw HTML mode writes. parent is where the
+  // markers go, content is parsed for it.
+  async createFragmentMarkers(fragmentId, label, content, parent) {
+    const fragment = document.createDocumentFragment();
+    const endMarker = document.createComment(` /ESI Fragment ${fragmentId} `);
+    fragment.appendChild(document.createComment(` ESI Fragment ${fragmentId}: ${label} `));
+    fragment.appendChild(await this.parseFragmentContent(content, endMarker, parent));
+    fragment.appendChild(endMarker);
+    return fragment;
+  }
+
+  // A template keeps rows, cells, options, list items and head elements that a
+  // div would drop or move. Scripts parsed this way stay inert.
+  async parseFragmentContent(content, scriptTarget, parent = null) {
+    const markup = await this.extractAndExecuteScripts(content, scriptTarget);
+
+    // In SVG and MathML a template would make HTML elements of the markup,
+    // there it is parsed in its real context
+    if (parent && parent.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+      const range = document.createRange();
+      range.selectNodeContents(parent);
+      const fragment = range.createContextualFragment(markup);
+      // Unlike in a template these scripts would run once inserted
+      fragment.querySelectorAll('script').forEach(script => script.remove());
+      return fragment;
+    }
+
+    const template = document.createElement('template');
+    template.innerHTML = markup;
+    return template.content;
+  }
+
+  getExceptMarkup(element) {
+    if (element.nodeType === Node.COMMENT_NODE) {
+      const closingComment = this.findClosingTryComment(element);
+      const source = this.serializeCommentTryBlock(element, closingComment || element);
+      const exceptMatch = source.match(/<esi:except>([\s\S]*?)<\/esi:except>/i);
+      return exceptMatch ? exceptMatch[1] : null;
+    }
+
+    // Only look at the try block's own except, not those of nested try blocks
+    const exceptTag = Array.from(element.children).find(child =>
+      child.tagName && child.tagName.toLowerCase() === 'esi:except'
+    );
+    return exceptTag ? exceptTag.innerHTML : null;
+  }
+
+  serializeCommentTryBlock(startComment, endComment) {
+    if (startComment === endComment) {
+      return startComment.nodeValue;
+    }
+
+    const range = document.createRange();
+    range.setStartBefore(startComment);
+    range.setEndAfter(endComment);
+
+    // Comments are unwrapped so the except branch can span several of them
+    const serializer = document.createElement('div');
+    return Array.from(range.cloneContents().childNodes).map(node => {
+      if (node.nodeType === Node.COMMENT_NODE) {
+        return node.nodeValue;
+      }
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        return node.outerHTML;
+      }
+      serializer.textContent = node.textContent;
+      return serializer.innerHTML;
+    }).join('');
+  }
+
+  findClosingTryComment(startComment) {
+    if (startComment.nodeValue && startComment.nodeValue.includes('</esi:try>')) {
+      return startComment;
+    }
+
+    const walker = document.createTreeWalker(
+      document.documentElement,
+      NodeFilter.SHOW_COMMENT,
+      null,
+      false
+    );
+    
+    walker.currentNode = startComment;
+    
+    // Look for the closing </esi:try> comment
+    while (walker.nextNode()) {
+      const comment = walker.currentNode.nodeValue;
+      if (comment && comment.includes('</esi:try>')) {
+        return walker.currentNode;
+      }
+    }
+    return null;
   }
 
   async extractAndExecuteScripts(content, container) {
@@ -550,9 +1864,10 @@ class ESIProcessor {
     debugLog('Extracting and executing scripts from ESI content');
     
     try {
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(content, 'text/html');
-      const scripts = Array.from(doc.querySelectorAll('script'));
+      // Parsed in a template, a document body would drop table rows and move head elements
+      const template = document.createElement('template');
+      template.innerHTML = content;
+      const scripts = Array.from(template.content.querySelectorAll('script'));
       
       debugLog(`Found ${scripts.length} script tags in ESI content`);
       
@@ -560,7 +1875,7 @@ class ESIProcessor {
       scripts.forEach(script => script.remove());
       
       // Get content without scripts
-      const contentWithoutScripts = doc.body ? doc.body.innerHTML : content;
+      const contentWithoutScripts = template.innerHTML;
       
       // Execute scripts after content is inserted
       setTimeout(async () => {
@@ -598,12 +1913,12 @@ class ESIProcessor {
             debugLog('External script failed:', scriptElement.src);
             reject();
           };
-          container.appendChild(newScript);
+          this.insertScript(newScript, container);
         });
       } else {
         // Inline script
         newScript.textContent = scriptElement.textContent;
-        container.appendChild(newScript);
+        this.insertScript(newScript, container);
         debugLog('Inline script executed');
       }
     } catch (e) {
@@ -611,48 +1926,54 @@ class ESIProcessor {
     }
   }
 
+  // container is the content wrapper, or the end marker of a fragment without one
+  insertScript(script, container) {
+    if (container.nodeType === Node.COMMENT_NODE) {
+      container.parentNode.insertBefore(script, container);
+    } else {
+      container.appendChild(script);
+    }
+  }
+
+  // Returns the removed nodes
   replaceCommentTryBlock(startComment, replacement) {
     debugLog('Replacing comment-based try block...');
     
-    let walker = document.createTreeWalker(
-      document.documentElement,
-      NodeFilter.SHOW_COMMENT,
-      null,
-      false
-    );
+    const closingComment = this.findClosingTryComment(startComment);
     
-    walker.currentNode = startComment;
-    let foundClosing = false;
-    
-    // Look for the closing </esi:try> comment
-    while (walker.nextNode()) {
-      const comment = walker.currentNode.nodeValue;
-      if (comment && comment.includes('</esi:try>')) {
-        debugLog('Found closing ESI try comment');
-        
-        try {
-          const range = document.createRange();
-          range.setStartBefore(startComment);
-          range.setEndAfter(walker.currentNode);
-          
+    if (closingComment && closingComment !== startComment) {
+      debugLog('Found closing ESI try comment');
+      
+      try {
+        const range = document.createRange();
+        range.setStartBefore(startComment);
+        range.setEndAfter(closingComment);
+
+        // Across different parents the range cuts through elements, extracting it
+        // would clone their partial wrappers. Such a block can't be switched back.
+        if (startComment.parentNode !== closingComment.parentNode) {
           range.deleteContents();
           range.insertNode(replacement);
-          foundClosing = true;
-          debugLog('Successfully replaced comment try block');
-          break;
-        } catch (e) {
-          debugLog('Error replacing comment try block:', e);
-          break;
+          debugLog('Replaced comment try block spanning several parents, its original markup is not kept');
+          return [];
         }
+
+        const removed = range.extractContents();
+        const removedNodes = Array.from(removed.childNodes);
+        range.insertNode(replacement);
+        debugLog('Successfully replaced comment try block');
+        return removedNodes;
+      } catch (e) {
+        debugLog('Error replacing comment try block:', e);
       }
     }
     
-    if (!foundClosing) {
-      debugLog('No closing try comment found, using simple replacement');
-      if (startComment.parentNode) {
-        startComment.parentNode.replaceChild(replacement, startComment);
-      }
+    debugLog('No closing try comment found, using simple replacement');
+    if (startComment.parentNode) {
+      startComment.parentNode.replaceChild(replacement, startComment);
+      return [startComment];
     }
+    return [];
   }
 }
 
@@ -0,0 +1,5 @@
+// Firefox compatibility layer
+const browserAPI = (typeof browser !== 'undefined') ? browser : chrome;
+
+// Adds the ESI panel to the browser's developer tools
+browserAPI.devtools.panels.create('ESI', 'icons/icon16-on.png', 'panel.html');
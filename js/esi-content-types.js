@@ -0,0 +1,63 @@
+// Charset decoding and content types of fragment responses, shared by the
+// content script and the background script (proxied fetches and raw HTML mode)
+
+// Bytes searched for <meta charset>, the same limit as the browser's prescan
+const META_CHARSET_PRESCAN_BYTES = 1024;
+// Non-text/* types that are still text
+const FRAGMENT_TEXT_CONTENT_TYPES = ['application/javascript', 'application/ecmascript', 'application/xml'];
+
+function getContentTypeCharset(contentType) {
+  const match = (contentType || '').match(/;\s*charset\s*=\s*"?([^";\s]+)/i);
+  return match ? match[1] : null;
+}
+
+// <meta charset="..."> or <meta http-equiv="Content-Type" content="...; charset=...">
+function sniffMetaCharset(bytes) {
+  // Every byte maps to one character, so this only has to be right for ASCII
+  const head = new TextDecoder('windows-1252').decode(bytes.subarray(0, META_CHARSET_PRESCAN_BYTES));
+  const match = head.match(/<meta\b[^>]*?charset\s*=\s*["']?([\w.:-]+)/i);
+  return match ? match[1] : null;
+}
+
+// Follows the Content-Type charset, then a <meta> charset in HTML, then UTF-8.
+// Labels TextDecoder doesn't know fall back to UTF-8 as well.
+function decodeFragmentBody(buffer, contentType) {
+  const bytes = new Uint8Array(buffer);
+  const label = getContentTypeCharset(contentType) ||
+    (getFragmentContentKind(contentType) === 'html' ? sniffMetaCharset(bytes) : null) ||
+    'utf-8';
+  try {
+    return new TextDecoder(label).decode(bytes);
+  } catch (e) {
+    debugLog('Unknown fragment charset, decoding as UTF-8:', label);
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+// 'html' is parsed as markup, 'text' and 'json' are inserted as text.
+// null for types that are neither, responses without a type count as HTML.
+function getFragmentContentKind(contentType) {
+  const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (!mimeType || mimeType === 'text/html' || mimeType === 'application/xhtml+xml') {
+    return 'html';
+  }
+  if (mimeType === 'application/json' || mimeType.endsWith('+json')) {
+    return 'json';
+  }
+  if (mimeType.startsWith('text/') || mimeType.endsWith('+xml') || FRAGMENT_TEXT_CONTENT_TYPES.includes(mimeType)) {
+    return 'text';
+  }
+  return null;
+}
+
+// Text in <script> and <style> is not unescaped, it only must not close the element early
+function escapeRawTextElementContent(text) {
+  return text.replace(/<\//g, '<\\/');
+}
+
+function escapeFragmentText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
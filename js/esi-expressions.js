@@ -0,0 +1,168 @@
+// ESI expression evaluator for esi:when test attributes
+// Loaded after esi-variables.js and before content.js
+
+const ESI_EXPRESSION_OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '&', '|', '!', '(', ')'];
+
+class ESIExpressionEvaluator {
+  constructor(variables) {
+    this.variables = variables;
+  }
+
+  // Returns true or false, throws on malformed expressions
+  evaluate(expression) {
+    const state = { tokens: this.tokenize(expression), index: 0 };
+    const result = this.parseOr(state);
+    if (state.index < state.tokens.length) {
+      throw new Error(`Unexpected "${state.tokens[state.index].text}" in ESI expression: ${expression}`);
+    }
+    return this.toBoolean(result);
+  }
+
+  tokenize(expression) {
+    const tokens = [];
+    const variablePattern = new RegExp(ESI_VARIABLE_PATTERN.source, 'y');
+    let index = 0;
+
+    while (index < expression.length) {
+      const rest = expression.substring(index);
+
+      const whitespace = rest.match(/^\s+/);
+      if (whitespace) {
+        index += whitespace[0].length;
+        continue;
+      }
+
+      // Triple quotes allow single quotes inside the literal
+      const literal = rest.match(/^'''([\s\S]*?)'''/) || rest.match(/^'([^']*)'/);
+      if (literal) {
+        tokens.push({ type: 'value', value: literal[1], text: literal[0] });
+        index += literal[0].length;
+        continue;
+      }
+
+      variablePattern.lastIndex = index;
+      const variable = variablePattern.exec(expression);
+      if (variable) {
+        tokens.push({ type: 'value', value: this.variables.substitute(variable[0]), text: variable[0] });
+        index += variable[0].length;
+        continue;
+      }
+
+      const number = rest.match(/^-?\d+(\.\d+)?/);
+      if (number) {
+        tokens.push({ type: 'value', value: Number(number[0]), text: number[0] });
+        index += number[0].length;
+        continue;
+      }
+
+      const operator = ESI_EXPRESSION_OPERATORS.find(op => rest.startsWith(op));
+      if (operator) {
+        tokens.push({ type: 'operator', value: operator, text: operator });
+        index += operator.length;
+        continue;
+      }
+
+      throw new Error(`Unexpected "${rest.charAt(0)}" at position ${index} in ESI expression: ${expression}`);
+    }
+
+    return tokens;
+  }
+
+  peekOperator(state, ...operators) {
+    const token = state.tokens[state.index];
+    return token && token.type === 'operator' && operators.includes(token.value) ? token.value : null;
+  }
+
+  parseOr(state) {
+    let left = this.parseAnd(state);
+    while (this.peekOperator(state, '|', '||')) {
+      state.index++;
+      const right = this.parseAnd(state);
+      left = this.toBoolean(left) || this.toBoolean(right);
+    }
+    return left;
+  }
+
+  parseAnd(state) {
+    let left = this.parseNot(state);
+    while (this.peekOperator(state, '&', '&&')) {
+      state.index++;
+      const right = this.parseNot(state);
+      left = this.toBoolean(left) && this.toBoolean(right);
+    }
+    return left;
+  }
+
+  parseNot(state) {
+    if (this.peekOperator(state, '!')) {
+      state.index++;
+      return !this.toBoolean(this.parseNot(state));
+    }
+    return this.parseComparison(state);
+  }
+
+  parseComparison(state) {
+    const left = this.parseOperand(state);
+    const operator = this.peekOperator(state, '==', '!=', '<=', '>=', '<', '>');
+    if (!operator) {
+      return left;
+    }
+    state.index++;
+    return this.compare(left, operator, this.parseOperand(state));
+  }
+
+  parseOperand(state) {
+    const token = state.tokens[state.index];
+    if (!token) {
+      throw new Error('Unexpected end of ESI expression');
+    }
+
+    if (this.peekOperator(state, '(')) {
+      state.index++;
+      const value = this.parseOr(state);
+      if (!this.peekOperator(state, ')')) {
+        throw new Error('Missing ")" in ESI expression');
+      }
+      state.index++;
+      return value;
+    }
+
+    if (token.type !== 'value') {
+      throw new Error(`Unexpected "${token.text}" in ESI expression`);
+    }
+    state.index++;
+    return token.value;
+  }
+
+  compare(left, operator, right) {
+    // Compare as numbers when both sides are numeric, otherwise as strings
+    const leftNumber = this.toNumber(left);
+    const rightNumber = this.toNumber(right);
+    const numeric = leftNumber !== null && rightNumber !== null;
+    const a = numeric ? leftNumber : String(left);
+    const b = numeric ? rightNumber : String(right);
+
+    switch (operator) {
+      case '==': return a === b;
+      case '!=': return a !== b;
+      case '<': return a < b;
+      case '>': return a > b;
+      case '<=': return a <= b;
+      case '>=': return a >= b;
+    }
+    return false;
+  }
+
+  toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'number') return value !== 0;
+    return value !== '' && value !== 'false';
+  }
+}
@@ -0,0 +1,196 @@
+// Fragment fetch rules shared by the content script (ESIProcessor) and the
+// background script (ESIRawResolver in raw HTML mode): rewrite rules, mocks,
+// fault injection, response checks and retries. Both resolve fragments the same
+// way, only how a request is sent differs.
+
+const FRAGMENT_RETRY_BACKOFF_BASE = 500; // ms, doubled for every retry
+// Status of a status fault rule whose value is empty or not an error status
+const DEFAULT_FAULT_STATUS = 503;
+
+class ESIError extends Error {
+  constructor(message, type, status = null) {
+    super(message);
+    this.name = 'ESIError';
+    this.type = type;
+    this.status = status;
+  }
+}
+
+// Request headers of a fragment fetch. They are part of the fragment cache key, both
+// paths have to send the same ones for the same profile.
+function buildFragmentRequestHeaders(customHeaders, forwardHeaders) {
+  const headers = {
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    'X-Requested-With': 'XMLHttpRequest'
+  };
+
+  // Only what the browser exposes can be forwarded, not the original request headers
+  if (forwardHeaders) {
+    if (navigator.userAgent) {
+      headers['User-Agent'] = navigator.userAgent;
+    }
+    if (navigator.language) {
+      headers['Accept-Language'] = navigator.language;
+    }
+    debugLog('Forwarding request headers enabled');
+  }
+
+  customHeaders.forEach(header => {
+    if (header.name && header.value) {
+      headers[header.name] = header.value;
+      debugLog('Added custom header:', header.name, '=', header.value);
+    }
+  });
+
+  return headers;
+}
+
+// The first enabled rule that matches wins. Prefix rules swap the matched
+// prefix for the target, regex rules support $1-style group references.
+function rewriteFragmentUrl(rewriteRules, resolvedUrl) {
+  for (const rule of rewriteRules) {
+    if (!rule.match || rule.enabled === false) {
+      continue;
+    }
+    if (rule.type === 'regex') {
+      try {
+        const pattern = new RegExp(rule.match);
+        if (pattern.test(resolvedUrl)) {
+          const rewritten = resolvedUrl.replace(pattern, rule.target || '');
+          debugLog('Rewrote fragment URL:', resolvedUrl, '->', rewritten);
+          return rewritten;
+        }
+      } catch (e) {
+        debugLog('Invalid rewrite rule pattern:', rule.match, e);
+      }
+    } else if (resolvedUrl.startsWith(rule.match)) {
+      const rewritten = (rule.target || '') + resolvedUrl.substring(rule.match.length);
+      debugLog('Rewrote fragment URL:', resolvedUrl, '->', rewritten);
+      return rewritten;
+    }
+  }
+  return resolvedUrl;
+}
+
+// Mocks and fault rules are matched against the resolved URL, the first enabled match wins
+function findEnabledPatternRule(rules, resolvedUrl) {
+  return rules.find(rule => rule.enabled && rule.pattern && wildcardToRegExp(rule.pattern).test(resolvedUrl)) || null;
+}
+
+function findFragmentMock(fragmentMocks, resolvedUrl) {
+  return findEnabledPatternRule(fragmentMocks, resolvedUrl);
+}
+
+function findFaultRule(faultRules, resolvedUrl) {
+  return findEnabledPatternRule(faultRules, resolvedUrl);
+}
+
+// Throws for error statuses and content types that can't be inserted
+function checkFragmentResponse(status, statusText, contentType) {
+  if (status < 200 || status > 299) {
+    throw new ESIError(`HTTP ${status}: ${statusText}`, 'fetch', status);
+  }
+  if (getFragmentContentKind(contentType) === null) {
+    throw new ESIError(`Unsupported content type ${contentType}, fragments must be HTML, text or JSON`, 'content-type', status);
+  }
+}
+
+// A mock's response as status, header pairs and body, checked like a fetched one.
+// Mocks are never cached.
+function readFragmentMock(mock) {
+  debugLog('Serving mocked fragment for pattern:', mock.pattern);
+  const status = parseInt(mock.status, 10) || 200;
+  const headers = [];
+  (mock.headers || '').split('\n').forEach(line => {
+    const separatorIndex = line.indexOf(':');
+    if (separatorIndex > 0) {
+      headers.push([line.substring(0, separatorIndex).trim(), line.substring(separatorIndex + 1).trim()]);
+    }
+  });
+  const contentTypeHeader = headers.find(([name]) => name.toLowerCase() === 'content-type');
+  checkFragmentResponse(status, 'Mocked', contentTypeHeader ? contentTypeHeader[1] : null);
+  return { status: status, headers: headers, body: mock.body || '' };
+}
+
+// Network errors and 5xx responses are retried. Timeouts are not, a hanging
+// backend would only stall the page longer.
+function isRetryableFragmentError(error) {
+  return error.type !== 'timeout' && (error.status === null || error.status === undefined || error.status >= 500);
+}
+
+// Calls fetchOnce until it succeeds or the retries run out, with exponential backoff.
+// Returns its result with the number of retries, a final error carries error.retries.
+async function fetchWithFragmentRetries(url, maxRetries, fetchOnce) {
+  for (let retries = 0; ; retries++) {
+    try {
+      return { ...(await fetchOnce(retries)), retries: retries };
+    } catch (error) {
+      if (!isRetryableFragmentError(error) || retries >= maxRetries) {
+        error.retries = retries;
+        throw error;
+      }
+      const delay = FRAGMENT_RETRY_BACKOFF_BASE * Math.pow(2, retries);
+      debugLog(`Fetching ${url} failed, retrying in ${delay}ms:`, error);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Times of a fetched fragment's stats entry. ttfb and duration start when the
+// request that answered was sent, the time spent before that waiting for a fetch
+// queue slot, on earlier attempts and their backoff is queueWait.
+function getFragmentTiming(metadata, startTime, finishedAt) {
+  const sentAt = metadata.sentAt || startTime;
+  return {
+    startTime: startTime,
+    queueWait: sentAt - startTime,
+    ttfb: metadata.firstByteAt ? metadata.firstByteAt - sentAt : null,
+    duration: finishedAt - sentAt
+  };
+}
+
+function getFaultStatus(rule) {
+  const status = parseInt(rule.value, 10);
+  return status >= 400 && status <= 599 ? status : DEFAULT_FAULT_STATUS;
+}
+
+function describeFault(rule) {
+  const value = parseInt(rule.value, 10) || 0;
+  if (rule.type === 'status') return `HTTP ${getFaultStatus(rule)}`;
+  if (rule.type === 'delay') return `${value} ms delay`;
+  if (rule.type === 'truncate') return `truncated to ${value} characters`;
+  return 'network error';
+}
+
+// The fault of the attempt that decided the outcome, null when none was injected
+function getInjectedFault(attempts) {
+  const attempt = attempts.find(attempt => attempt.fault);
+  return attempt ? attempt.fault : null;
+}
+
+// Simulates the rule's fault around fetchNormally. Network errors and statuses
+// never reach the network and are not retried, a delay counts against the timeout
+// like a slow backend would, truncation cuts the body after it was cached.
+async function fetchWithFault(rule, fetchNormally, timeout) {
+  const value = parseInt(rule.value, 10) || 0;
+  debugLog('Injecting fault for pattern:', rule.pattern, describeFault(rule));
+
+  if (rule.type === 'status') {
+    const status = getFaultStatus(rule);
+    throw new ESIError(`HTTP ${status}: Injected fault`, 'fetch', status);
+  }
+  if (rule.type === 'delay') {
+    if (timeout > 0 && value >= timeout) {
+      await new Promise(resolve => setTimeout(resolve, timeout));
+      throw new ESIError(`Timed out after ${timeout}ms (injected ${value} ms delay)`, 'timeout');
+    }
+    await new Promise(resolve => setTimeout(resolve, value));
+    return fetchNormally(timeout > 0 ? timeout - value : timeout);
+  }
+  if (rule.type === 'truncate') {
+    const fetched = await fetchNormally(timeout);
+    const content = fetched.content.substring(0, value);
+    return { ...fetched, content: content, metadata: { ...fetched.metadata, size: new TextEncoder().encode(content).length } };
+  }
+  throw new ESIError('Network error: Injected fault', 'fetch');
+}
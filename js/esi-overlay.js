@@ -0,0 +1,232 @@
+// Fragment overlay: outlines every resolved fragment on the page with a labeled border
+// Loaded before content.js, which owns the instance and tells it when fragments change
+
+const OVERLAY_LAYER_ID = 'esi-overlay-layer';
+const OVERLAY_TOOLTIP_ID = 'esi-overlay-tooltip';
+const OVERLAY_STYLE_ID = 'esi-overlay-style';
+// The overlay's own elements, observer mode ignores changes to them
+const OVERLAY_ELEMENT_SELECTOR = `#${OVERLAY_LAYER_ID}, #${OVERLAY_TOOLTIP_ID}, #${OVERLAY_STYLE_ID}`;
+
+const OVERLAY_STYLE = `
+  #${OVERLAY_LAYER_ID} { position: absolute; top: 0; left: 0; width: 0; height: 0; pointer-events: none; z-index: 2147483646; }
+  .esi-overlay-box { position: absolute; box-sizing: border-box; border: 2px solid #1976d2; pointer-events: none; }
+  .esi-overlay-failed { border-color: #d32f2f; }
+  .esi-overlay-fallback { border-color: #ff9800; border-style: dashed; }
+  .esi-overlay-cached { border-color: #4caf50; }
+  .esi-overlay-label { position: absolute; top: 0; left: 0; padding: 0 4px; font: 10px/16px monospace; color: white; background: #1976d2; white-space: nowrap; }
+  .esi-overlay-failed .esi-overlay-label { background: #d32f2f; }
+  .esi-overlay-fallback .esi-overlay-label { background: #ff9800; }
+  .esi-overlay-cached .esi-overlay-label { background: #4caf50; }
+  #${OVERLAY_TOOLTIP_ID} { position: fixed; display: none; z-index: 2147483647; pointer-events: none; max-width: 480px; overflow: hidden; padding: 6px 8px; border-radius: 4px; font: 11px/1.4 monospace; color: white; background: rgba(33,33,33,0.92); white-space: pre; }
+`;
+
+const OVERLAY_KIND_LABELS = {
+  resolved: 'resolved',
+  failed: 'failed',
+  fallback: 'fallback',
+  cached: 'cached'
+};
+
+class ESIFragmentOverlay {
+  // getFragments returns the current stats.fragments entries
+  constructor(getFragments) {
+    this.getFragments = getFragments;
+    this.enabled = false;
+    this.layer = null;
+    this.tooltip = null;
+    this.boxes = [];
+    this.updateScheduled = false;
+    this.resizeObserver = null;
+    this.onMouseMove = (event) => this.updateTooltip(event);
+    this.onResize = () => this.scheduleUpdate();
+  }
+
+  setEnabled(enabled) {
+    if (enabled === this.enabled) {
+      return;
+    }
+    this.enabled = enabled;
+    debugLog('Fragment overlay', enabled ? 'enabled' : 'disabled');
+    if (enabled) {
+      this.show();
+    } else {
+      this.hide();
+    }
+  }
+
+  show() {
+    if (!document.getElementById(OVERLAY_STYLE_ID)) {
+      const style = document.createElement('style');
+      style.id = OVERLAY_STYLE_ID;
+      style.textContent = OVERLAY_STYLE;
+      document.documentElement.appendChild(style);
+    }
+
+    this.layer = document.createElement('div');
+    this.layer.id = OVERLAY_LAYER_ID;
+    this.tooltip = document.createElement('div');
+    this.tooltip.id = OVERLAY_TOOLTIP_ID;
+    document.documentElement.appendChild(this.layer);
+    document.documentElement.appendChild(this.tooltip);
+
+    // Boxes use document coordinates, only layout changes and scrolled
+    // elements move them. Scroll events don't bubble, capture catches all of them.
+    window.addEventListener('resize', this.onResize);
+    document.addEventListener('scroll', this.onResize, true);
+    document.addEventListener('mousemove', this.onMouseMove);
+    if (document.body) {
+      this.resizeObserver = new ResizeObserver(this.onResize);
+      this.resizeObserver.observe(document.body);
+    }
+
+    this.update();
+  }
+
+  hide() {
+    window.removeEventListener('resize', this.onResize);
+    document.removeEventListener('scroll', this.onResize, true);
+    document.removeEventListener('mousemove', this.onMouseMove);
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    [this.layer, this.tooltip, document.getElementById(OVERLAY_STYLE_ID)].forEach(element => {
+      if (element) element.remove();
+    });
+    this.layer = null;
+    this.tooltip = null;
+    this.boxes = [];
+  }
+
+  // Batches the updates of fragments arriving in quick succession
+  scheduleUpdate() {
+    if (!this.enabled || this.updateScheduled) {
+      return;
+    }
+    this.updateScheduled = true;
+    requestAnimationFrame(() => {
+      this.updateScheduled = false;
+      if (this.enabled) {
+        this.update();
+      }
+    });
+  }
+
+  update() {
+    const fragmentsById = new Map(this.getFragments().map(fragment => [fragment.id, fragment]));
+    this.layer.innerHTML = '';
+    this.boxes = [];
+
+    this.findFragmentRanges().forEach(({ id, range, except }) => {
+      const rect = range.getBoundingClientRect();
+      if (!rect.width && !rect.height) {
+        return;
+      }
+
+      const fragment = fragmentsById.get(id) || null;
+      const kind = this.getKind(fragment, except);
+      const bounds = {
+        left: rect.left + window.scrollX,
+        top: rect.top + window.scrollY,
+        width: rect.width,
+        height: rect.height
+      };
+
+      const box = document.createElement('div');
+      box.className = `esi-overlay-box esi-overlay-${kind}`;
+      box.style.cssText = `left: ${bounds.left}px; top: ${bounds.top}px; width: ${bounds.width}px; height: ${bounds.height}px;`;
+      const label = document.createElement('span');
+      label.className = 'esi-overlay-label';
+      label.textContent = `#${id} ${OVERLAY_KIND_LABELS[kind]}`;
+      box.appendChild(label);
+      this.layer.appendChild(box);
+
+      this.boxes.push({ id, fragment, kind, bounds });
+    });
+  }
+
+  findFragmentRanges() {
+    const ranges = [];
+
+    // Containers use display: contents and have no box of their own, a range
+    // over the container covers its rendered content
+    document.querySelectorAll('[data-esi-fragment]').forEach(element => {
+      const id = parseInt(element.id.replace('esi-fragment-', ''), 10);
+      if (Number.isNaN(id)) {
+        return;
+      }
+      const range = document.createRange();
+      range.selectNode(element);
+      ranges.push({ id, range, except: element.hasAttribute('data-esi-except') });
+    });
+
+    // Fragments resolved in raw HTML mode sit between marker comments
+    const walker = document.createTreeWalker(document.documentElement, NodeFilter.SHOW_COMMENT, null, false);
+    const openMarkers = new Map();
+    let node;
+    while (node = walker.nextNode()) {
+      // Only markers with a matching end become ranges, removed fragments have none
+      const start = node.nodeValue.match(/^ ESI Fragment (\d+): /);
+      const end = node.nodeValue.match(/^ \/ESI Fragment (\d+) $/);
+      if (start) {
+        openMarkers.set(parseInt(start[1], 10), node);
+      } else if (end && openMarkers.has(parseInt(end[1], 10))) {
+        const id = parseInt(end[1], 10);
+        const range = document.createRange();
+        range.setStartAfter(openMarkers.get(id));
+        range.setEndBefore(node);
+        ranges.push({ id, range, except: false });
+        openMarkers.delete(id);
+      }
+    }
+
+    return ranges;
+  }
+
+  getKind(fragment, except) {
+    if (except || (fragment && fragment.fallback)) return 'fallback';
+    if (fragment && !fragment.success) return 'failed';
+    if (fragment && fragment.cacheStatus === 'HIT') return 'cached';
+    return 'resolved';
+  }
+
+  updateTooltip(event) {
+    const x = event.pageX;
+    const y = event.pageY;
+    // Nested fragments lie inside their parents, the smallest box is the innermost one
+    const hit = this.boxes
+      .filter(({ bounds }) => x >= bounds.left && x <= bounds.left + bounds.width && y >= bounds.top && y <= bounds.top + bounds.height)
+      .sort((a, b) => a.bounds.width * a.bounds.height - b.bounds.width * b.bounds.height)[0];
+
+    if (!hit) {
+      this.tooltip.style.display = 'none';
+      return;
+    }
+
+    this.tooltip.textContent = this.getTooltipText(hit);
+    this.tooltip.style.display = 'block';
+    this.tooltip.style.left = `${Math.min(event.clientX + 12, window.innerWidth - this.tooltip.offsetWidth - 4)}px`;
+    this.tooltip.style.top = `${Math.min(event.clientY + 12, window.innerHeight - this.tooltip.offsetHeight - 4)}px`;
+  }
+
+  getTooltipText({ id, fragment, kind }) {
+    if (!fragment) {
+      return `#${id}\nNo statistics for this fragment`;
+    }
+    const lines = [`#${id} ${fragment.url}`];
+    if (fragment.resolvedUrl && fragment.resolvedUrl !== fragment.url) {
+      lines.push(`Resolved: ${fragment.resolvedUrl}`);
+    }
+    let status = OVERLAY_KIND_LABELS[kind];
+    if (fragment.status) status += ` (HTTP ${fragment.status})`;
+    if (!fragment.success && fragment.error) status += `: ${fragment.error}`;
+    lines.push(`Status: ${status}`);
+    if (fragment.fault) {
+      lines.push(`Injected fault: ${fragment.fault}`);
+    }
+    if (fragment.duration !== undefined) {
+      lines.push(`Duration: ${fragment.duration} ms`);
+    }
+    return lines.join('\n');
+  }
+}
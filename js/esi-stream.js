@@ -0,0 +1,471 @@
+// Raw HTML mode: resolves ESI in the document response before the browser parses it
+// Firefox only (webRequest.filterResponseData), loaded into the background page
+// after background.js, profiles.js, esi-content-types.js and esi-fetch.js. Resolving before the parse keeps includes
+// inside <table>, <select> or <head> where the edge would have put them.
+//
+// esi:choose, esi:vars and includes using $(...) variables need the page context,
+// they are left in place for the DOM-based ESIProcessor in content.js, and so are
+// try blocks whose attempt contains them.
+
+const RAW_ESI_MARKUP_PATTERN = /<esi:|<!--esi\s/i;
+const RAW_METADATA_HEADERS = ['Cache-Control', 'Age', 'Surrogate-Key', 'X-Cache'];
+// Like the tokenizer, a script ends at the first </script> or with the markup
+const RAW_SCRIPT_PATTERN = /<script\b[^>]*>[\s\S]*?(?:<\/script\s*>|$)/gi;
+const RAW_PROTECTED_OPEN_PATTERN = /<esi:(choose|vars)\b[^>]*>/gi;
+const RAW_PROTECTED_PLACEHOLDER = '\u0000esi-protected-';
+// Try, choose and vars blocks nest, so the scanner matches them by depth instead of with one regex
+const RAW_BLOCK_TAG_PATTERN = /<(\/?)esi:(try|include)\b([^>]*?)\/?>/gi;
+
+class ESIRawResolver {
+  constructor(settings, profile, pageUrl) {
+    this.profile = profile;
+    this.pageUrl = pageUrl;
+    this.rewriteRules = settings.rewriteRules || [];
+    this.fragmentMocks = settings.fragmentMocks || [];
+    this.faultRules = settings.faultRules || [];
+    this.maxIncludeDepth = this.parseSetting(settings.maxIncludeDepth, 0, 5);
+    this.fragmentTimeout = this.parseSetting(settings.fragmentTimeout, 0, 10000);
+    this.fragmentRetries = this.parseSetting(settings.fragmentRetries, 0, 0);
+    this.fragmentCounter = 0;
+    this.requestLog = []; // Requests sent for this document, for the HAR export
+    this.stats = {
+      total: 0,
+      successful: 0,
+      failed: 0,
+      fragments: [],
+      decisions: []
+    };
+  }
+
+  parseSetting(value, min, fallback) {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number >= min ? number : fallback;
+  }
+
+  static containsESI(html) {
+    return RAW_ESI_MARKUP_PATTERN.test(html);
+  }
+
+  async resolve(html) {
+    debugLog('=== RESOLVING ESI IN RAW HTML ===', this.pageUrl);
+    this.stats.runStartedAt = Date.now();
+    const result = await this.resolveMarkup(html, { parentId: null, depth: 0, ancestors: [] });
+    debugLog('=== RAW HTML RESOLVED ===', this.stats.total, 'fragments');
+    return result.markup;
+  }
+
+  // Replaces the fragments of the current page, like a fresh DOM run would
+  async saveStats() {
+    await browserAPI.storage.local.set({ [`esiStats_${this.pageUrl}`]: this.stats });
+  }
+
+  // Returns the resolved markup and whether any include in it failed. Inside an
+  // esi:attempt (inTry) failed includes render nothing, the except branch replaces them.
+  async resolveMarkup(markup, context, inTry = false) {
+    // Unwrapping all <!--esi --> comments also rejoins try blocks split over several comments
+    let resolved = markup
+      .replace(/<!--esi\s([\s\S]*?)-->/g, '$1')
+      .replace(/<esi:remove>[\s\S]*?<\/esi:remove\s*>/gi, '')
+      .replace(/<esi:comment\b[^>]*?\/?>/gi, '');
+
+    // Protected once here, the try branches below are parts of the same markup
+    const protectedBlocks = [];
+    const result = await this.resolveBlocks(this.protectBlocks(resolved, protectedBlocks), context, inTry);
+    const placeholderPattern = new RegExp(`${RAW_PROTECTED_PLACEHOLDER}(\\d+)\u0000`, 'g');
+    return { markup: result.markup.replace(placeholderPattern, (match, index) => protectedBlocks[index]), failed: result.failed };
+  }
+
+  // Swaps esi:choose and esi:vars blocks for placeholders, outermost blocks with
+  // everything nested in them. An unclosed block is left as it is.
+  protectBlocks(markup, protectedBlocks) {
+    const openPattern = new RegExp(RAW_PROTECTED_OPEN_PATTERN.source, 'gi');
+    let result = '';
+    let lastIndex = 0;
+    let match;
+    while ((match = openPattern.exec(markup))) {
+      const close = this.findClosingTag(markup, match[1], openPattern.lastIndex);
+      if (!close) {
+        continue;
+      }
+      protectedBlocks.push(markup.substring(match.index, close.end));
+      result += markup.substring(lastIndex, match.index) + `${RAW_PROTECTED_PLACEHOLDER}${protectedBlocks.length - 1}\u0000`;
+      lastIndex = close.end;
+      openPattern.lastIndex = close.end;
+    }
+    return result + markup.substring(lastIndex);
+  }
+
+  async resolveBlocks(markup, context, inTry) {
+    let failed = false;
+    const resolved = await this.replaceBlocks(markup, async block => {
+      const blockMarkup = markup.substring(block.start, block.end);
+      if (block.attempt !== undefined) {
+        // The content script resolves the block, resolving only part of the
+        // attempt here would lose the except branch
+        if (this.needsPageContext(block.attempt)) {
+          return blockMarkup;
+        }
+        // Without an except branch failed includes render like outside a try block
+        const attemptResult = await this.resolveBlocks(block.attempt, context, block.except !== null);
+        if (!attemptResult.failed || block.except === null) {
+          return attemptResult.markup;
+        }
+        debugLog('Rendering esi:except branch in raw HTML');
+        return (await this.resolveBlocks(block.except, context, false)).markup;
+      }
+
+      const includeResult = await this.resolveInclude(blockMarkup, block.attributes, context, inTry, this.isInRawTextElement(markup, block.start));
+      failed = failed || !includeResult.success;
+      return includeResult.markup;
+    });
+    return { markup: resolved, failed: failed };
+  }
+
+  // Protected choose and vars blocks or includes using variables
+  needsPageContext(markup) {
+    if (markup.includes(RAW_PROTECTED_PLACEHOLDER)) {
+      return true;
+    }
+    return Array.from(markup.matchAll(new RegExp(RAW_BLOCK_TAG_PATTERN.source, 'gi')))
+      .some(([, closing, name, attributes]) => !closing && name.toLowerCase() === 'include' && this.usesVariables(attributes));
+  }
+
+  usesVariables(attributes) {
+    return ['src', 'alt'].some(name => (this.readAttribute(attributes, name) || '').includes('$('));
+  }
+
+  // Blocks are replaced in parallel, replacement markup is not searched again
+  async replaceBlocks(text, replacer) {
+    const blocks = this.findBlocks(text);
+    const replacements = await Promise.all(blocks.map(replacer));
+    let result = '';
+    let lastIndex = 0;
+    blocks.forEach((block, i) => {
+      result += text.substring(lastIndex, block.start) + replacements[i];
+      lastIndex = block.end;
+    });
+    return result + text.substring(lastIndex);
+  }
+
+  // Top-level includes and try blocks in document order. Includes inside a try
+  // block are resolved with its attempt or except branch, not on their own.
+  findBlocks(markup) {
+    const blocks = [];
+    const tagPattern = new RegExp(RAW_BLOCK_TAG_PATTERN.source, 'gi');
+    let match;
+    while ((match = tagPattern.exec(markup))) {
+      const [tag, closing, name, attributes] = match;
+      if (closing) {
+        continue;
+      }
+      if (name.toLowerCase() === 'include') {
+        const closingTag = markup.substring(tagPattern.lastIndex).match(/^\s*<\/esi:include\s*>/i);
+        const end = tagPattern.lastIndex + (closingTag ? closingTag[0].length : 0);
+        blocks.push({ start: match.index, end: end, attributes: attributes });
+        tagPattern.lastIndex = end;
+        continue;
+      }
+
+      // An unclosed try tag is skipped, the includes after it are still resolved
+      const tryClose = this.findClosingTag(markup, 'try', tagPattern.lastIndex);
+      if (!tryClose) {
+        continue;
+      }
+      const branches = this.readTryBranches(markup.substring(tagPattern.lastIndex, tryClose.start));
+      // A try block without an attempt is left to the content script
+      if (branches) {
+        blocks.push({ start: match.index, end: tryClose.end, attempt: branches.attempt, except: branches.except });
+      } else {
+        debugLog('Leaving malformed esi:try in raw HTML:', tag);
+      }
+      tagPattern.lastIndex = tryClose.end;
+    }
+    return blocks;
+  }
+
+  // The closing tag matching an opening tag that ends at from, skipping nested pairs
+  findClosingTag(markup, name, from) {
+    const tagPattern = new RegExp(`<(\\/?)esi:${name}\\b[^>]*>`, 'gi');
+    tagPattern.lastIndex = from;
+    let depth = 1;
+    let match;
+    while ((match = tagPattern.exec(markup))) {
+      depth += match[1] ? -1 : 1;
+      if (depth === 0) {
+        return { start: match.index, end: tagPattern.lastIndex };
+      }
+    }
+    return null;
+  }
+
+  // The try block's own attempt and except branches, null without an attempt.
+  // The first branch tags in the body are its own, nested ones sit inside them.
+  readTryBranches(body) {
+    const readBranch = (name, from) => {
+      const open = new RegExp(`<esi:${name}\\b[^>]*>`, 'gi');
+      open.lastIndex = from;
+      const match = open.exec(body);
+      const close = match ? this.findClosingTag(body, name, open.lastIndex) : null;
+      return close ? { content: body.substring(open.lastIndex, close.start), end: close.end } : null;
+    };
+    const attempt = readBranch('attempt', 0);
+    if (!attempt) {
+      return null;
+    }
+    const except = readBranch('except', attempt.end);
+    return { attempt: attempt.content, except: except ? except.content : null };
+  }
+
+  // Inside <script> and <style> the parser reads text as is, escaped text would keep its entities
+  isInRawTextElement(markup, offset) {
+    const before = markup.substring(0, offset);
+    return ['script', 'style'].some(tag => {
+      // Like the tokenizer, the name must end there, <scripts> is another element
+      const tags = Array.from(before.matchAll(new RegExp(`<(/?)${tag}(?=[\\s/>])`, 'gi')));
+      return tags.length > 0 && !tags[tags.length - 1][1];
+    });
+  }
+
+  // Parsed scripts would run, the DOM path only runs fragment scripts when the profile allows it
+  stripScripts(markup) {
+    if (this.profile.executeScripts) {
+      return markup;
+    }
+    return markup.replace(RAW_SCRIPT_PATTERN, '');
+  }
+
+  readAttribute(attributes, name) {
+    // The value ends at the quote it started with, the other one may appear in it
+    const match = attributes.match(new RegExp(`\\s${name}=(["'])(.*?)\\1`, 'i'));
+    return match ? match[2] : null;
+  }
+
+  async resolveInclude(markup, attributes, context, inTry, inRawText = false) {
+    const url = this.readAttribute(attributes, 'src');
+    const alt = this.readAttribute(attributes, 'alt');
+    const onerror = this.readAttribute(attributes, 'onerror');
+    const timeout = this.parseSetting(this.readAttribute(attributes, 'timeout'), 0, this.fragmentTimeout);
+
+    // Variables are only known in the page, the content script resolves these
+    if (!url || this.usesVariables(attributes)) {
+      return { markup: markup, success: true };
+    }
+
+    const fragmentId = ++this.fragmentCounter;
+    const candidateUrls = alt ? [url, alt] : [url];
+    const attempts = [];
+    this.stats.total++;
+    const startTime = Date.now();
+
+    try {
+      const fetched = await this.fetchCandidates(candidateUrls, context, fragmentId, attempts, timeout);
+      const duration = Date.now() - startTime;
+      // Text and JSON are inserted as text and not searched for ESI markup
+      const nested = getFragmentContentKind(fetched.metadata.contentType) === 'html' ?
+        await this.resolveMarkup(this.stripScripts(fetched.content), {
+          parentId: fragmentId,
+          depth: context.depth + 1,
+          ancestors: [...context.ancestors, fetched.resolvedUrl]
+        }) :
+        { markup: inRawText ? fetched.content : escapeFragmentText(fetched.content) };
+
+      this.stats.successful++;
+      this.stats.fragments.push({
+        id: fragmentId,
+        url: url,
+        resolvedUrl: fetched.resolvedUrl,
+        rewrittenUrl: fetched.rewrittenUrl,
+        mocked: fetched.mocked,
+        fault: getInjectedFault(attempts),
+        servedBy: fetched.url,
+        cacheStatus: fetched.cacheStatus,
+        attempts: attempts,
+        parentId: context.parentId,
+        depth: context.depth,
+        ...getFragmentTiming(fetched.metadata, startTime, startTime + duration),
+        size: fetched.metadata.size,
+        status: fetched.metadata.status,
+        contentType: fetched.metadata.contentType,
+        responseHeaders: fetched.metadata.headers,
+        raw: true,
+        success: true,
+        timestamp: Date.now()
+      });
+
+      // Marker comments would become part of a script's or style's text
+      if (inRawText) {
+        return { markup: escapeRawTextElementContent(nested.markup), success: true };
+      }
+      // No wrapper element, it would be invalid in tables, lists or the head
+      return {
+        markup: `<!-- ESI Fragment ${fragmentId}: ${this.escapeComment(url)} -->${nested.markup}<!-- /ESI Fragment ${fragmentId} -->`,
+        success: true
+      };
+    } catch (error) {
+      debugLog(`✗ Failed to fetch raw ESI fragment ${fragmentId}:`, error);
+      const continueOnError = !inTry && onerror === 'continue';
+
+      this.stats.failed++;
+      this.stats.fragments.push({
+        id: fragmentId,
+        url: url,
+        resolvedUrl: attempts.length ? attempts[0].resolvedUrl : this.resolveUrl(url),
+        rewrittenUrl: attempts.length ? attempts[0].rewrittenUrl : this.resolveUrl(url),
+        mocked: attempts.some(attempt => attempt.mocked),
+        fault: getInjectedFault(attempts),
+        attempts: attempts,
+        parentId: context.parentId,
+        depth: context.depth,
+        startTime: startTime,
+        duration: Date.now() - startTime,
+        status: error.status || null,
+        raw: true,
+        success: false,
+        fallback: inTry,
+        continued: continueOnError,
+        error: error.message,
+        errorType: error.type || 'fetch',
+        timestamp: Date.now()
+      });
+
+      if (inTry || inRawText) {
+        return { markup: '', success: false };
+      }
+      if (continueOnError) {
+        return { markup: `<!-- ESI Fragment ${fragmentId}: ${this.escapeComment(url)} (REMOVED, onerror="continue") -->`, success: false };
+      }
+      return {
+        markup: `<div id="esi-fragment-${fragmentId}" class="esi-error" data-esi-fragment="true" data-esi-url="${this.escapeHtml(url)}" ` +
+          'style="color: red; border: 1px solid red; padding: 10px; margin: 5px; background: #ffe6e6;">' +
+          `<strong>ESI Error:</strong> Failed to load ${this.escapeHtml(candidateUrls.join(', '))}<br>` +
+          `<small>${this.escapeHtml(error.message)}</small></div>`,
+        success: false
+      };
+    }
+  }
+
+  // Same order as ESIProcessor.fetchCandidates: depth, cycle, then src before alt
+  async fetchCandidates(candidateUrls, context, fragmentId, attempts, timeout) {
+    if (context.depth > this.maxIncludeDepth) {
+      throw new ESIError(`Maximum include depth of ${this.maxIncludeDepth} exceeded`, 'depth');
+    }
+
+    let lastError = null;
+
+    for (const candidateUrl of candidateUrls) {
+      const resolvedUrl = this.resolveUrl(candidateUrl);
+      const rewrittenUrl = rewriteFragmentUrl(this.rewriteRules, resolvedUrl);
+      const mock = findFragmentMock(this.fragmentMocks, resolvedUrl);
+      const faultRule = findFaultRule(this.faultRules, resolvedUrl);
+      const fault = faultRule ? describeFault(faultRule) : null;
+      try {
+        if (context.ancestors.includes(resolvedUrl)) {
+          throw new ESIError(`Include cycle detected: ${[...context.ancestors, resolvedUrl].join(' -> ')}`, 'cycle');
+        }
+        debugLog(`Fetching raw ESI fragment ${fragmentId}: ${candidateUrl} -> ${rewrittenUrl}`);
+        const fetchNormally = async (remainingTimeout) => mock ? this.readMock(mock) : this.fetchWithRetries(rewrittenUrl, remainingTimeout, fragmentId);
+        const { content, cacheStatus, retries, metadata } = faultRule ? await fetchWithFault(faultRule, fetchNormally, timeout) : await fetchNormally(timeout);
+        attempts.push({ url: candidateUrl, resolvedUrl: resolvedUrl, rewrittenUrl: rewrittenUrl, mocked: !!mock, fault: fault, success: true, cacheStatus: cacheStatus, retries: retries || 0 });
+        return { url: candidateUrl, resolvedUrl: resolvedUrl, rewrittenUrl: rewrittenUrl, mocked: !!mock, fault: fault, content: content, cacheStatus: cacheStatus, metadata: metadata };
+      } catch (error) {
+        attempts.push({ url: candidateUrl, resolvedUrl: resolvedUrl, rewrittenUrl: rewrittenUrl, mocked: !!mock, fault: fault, success: false, error: error.message, errorType: error.type || 'fetch', retries: error.retries || 0 });
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  resolveUrl(url) {
+    try {
+      return new URL(url, this.pageUrl).href;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  // Mocks are never cached
+  readMock(mock) {
+    const { status, headers, body } = readFragmentMock(mock);
+    const headerMap = new Map(headers.map(([name, value]) => [name.toLowerCase(), value]));
+    return { content: body, cacheStatus: null, metadata: this.describeResponse(status, headerMap, body, Date.now()) };
+  }
+
+  // headers is a Map with lower-case names
+  describeResponse(status, headers, content, firstByteAt) {
+    const selected = {};
+    RAW_METADATA_HEADERS.forEach(name => {
+      if (headers.has(name.toLowerCase())) {
+        selected[name] = headers.get(name.toLowerCase());
+      }
+    });
+    return {
+      status: status,
+      contentType: headers.get('content-type') || null,
+      headers: selected,
+      size: new TextEncoder().encode(content).length,
+      firstByteAt: firstByteAt
+    };
+  }
+
+  // Retried like ESIProcessor.fetchWithRetries, cache hits return right away
+  async fetchWithRetries(url, timeout, fragmentId) {
+    const headers = buildFragmentRequestHeaders(this.profile.customHeaders || [], this.profile.forwardHeaders);
+    const sameOrigin = new URL(url).origin === new URL(this.pageUrl).origin;
+    const credentials = this.profile.forwardCookies || sameOrigin ? 'include' : 'omit';
+
+    const cacheKey = JSON.stringify([url, headers, credentials]);
+    const cached = await getCachedFragment(cacheKey);
+    if (cached.status === 'HIT') {
+      const cachedHeaders = new Map(cached.contentType ? [['content-type', cached.contentType]] : []);
+      return { content: cached.content, cacheStatus: 'HIT', retries: 0, metadata: this.describeResponse(null, cachedHeaders, cached.content, Date.now()) };
+    }
+
+    return fetchWithFragmentRetries(url, this.fragmentRetries, async () => {
+      const requestStart = Date.now();
+      const result = await fetchFragment(url, { headers: headers, credentials: credentials, timeout: timeout });
+      this.requestLog.push({
+        fragmentId: fragmentId,
+        url: url,
+        method: 'GET',
+        requestHeaders: headers,
+        credentials: credentials,
+        startTime: requestStart,
+        ttfb: result.ttfb,
+        duration: result.error ? Date.now() - requestStart : result.duration,
+        status: result.status,
+        statusText: result.statusText,
+        responseHeaders: result.headers,
+        body: result.body,
+        error: result.error
+      });
+      if (result.error) {
+        throw result.timedOut ?
+          new ESIError(`Timed out after ${timeout}ms`, 'timeout') :
+          new ESIError(result.error, 'fetch');
+      }
+
+      const responseHeaders = new Map(result.headers);
+      checkFragmentResponse(result.status, result.statusText, responseHeaders.get('content-type'));
+      storeFragment(cacheKey, url, result.body, responseHeaders.get('cache-control'), responseHeaders.get('surrogate-control'), responseHeaders.get('content-type'))
+        .catch(error => debugLog('Could not cache raw fragment:', url, error));
+      return {
+        content: result.body,
+        cacheStatus: cached.status,
+        metadata: { ...this.describeResponse(result.status, responseHeaders, result.body, requestStart + result.ttfb), sentAt: requestStart }
+      };
+    });
+  }
+
+  escapeComment(text) {
+    return String(text).replace(/--/g, '- -');
+  }
+
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
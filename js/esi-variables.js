@@ -0,0 +1,108 @@
+// ESI variables evaluated from the current page context
+// Loaded before content.js, which uses it for src attributes and esi:vars blocks
+
+// Matches $(NAME), $(NAME{key}), $(NAME|default) and $(NAME{key}|'default')
+const ESI_VARIABLE_PATTERN = /\$\(([A-Z_]+)(?:\{([^}]*)\})?(?:\|('[^']*'|[^)]*))?\)/g;
+
+// Values substituted into markup may sit in text or in a quoted attribute
+function escapeVariableMarkup(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+class ESIVariables {
+  // Returns the value of a variable, or null when it is not set
+  get(name, key = null) {
+    switch (name) {
+      case 'HTTP_COOKIE':
+        return this.lookup(this.parsePairs(document.cookie, ';'), key, document.cookie);
+      case 'QUERY_STRING': {
+        const queryString = window.location.search.replace(/^\?/, '');
+        return this.lookup(this.parsePairs(queryString, '&'), key, queryString);
+      }
+      case 'HTTP_HOST':
+        return window.location.host;
+      case 'HTTP_REFERER':
+        return document.referrer || null;
+      case 'HTTP_USER_AGENT':
+        return key ? this.getUserAgentPart(key) : navigator.userAgent;
+      case 'HTTP_ACCEPT_LANGUAGE': {
+        const languages = navigator.languages && navigator.languages.length ?
+          Array.from(navigator.languages) : [navigator.language];
+        if (key) {
+          // Subkeys test for a language and evaluate to a boolean
+          const wanted = key.toLowerCase();
+          return String(languages.some(lang => lang.toLowerCase() === wanted || lang.toLowerCase().startsWith(wanted + '-')));
+        }
+        return languages.join(',');
+      }
+      default:
+        return null;
+    }
+  }
+
+  // escapeValue is applied to variable values, not to defaults written in the markup
+  substitute(text, escapeValue = null) {
+    if (!text || !text.includes('$(')) {
+      return text;
+    }
+
+    return text.replace(ESI_VARIABLE_PATTERN, (match, name, key, defaultValue) => {
+      const value = this.get(name, key !== undefined ? key : null);
+      if (value !== null && value !== '') {
+        return escapeValue ? escapeValue(value) : value;
+      }
+      if (defaultValue !== undefined) {
+        return defaultValue.replace(/^'(.*)'$/, '$1');
+      }
+      return '';
+    });
+  }
+
+  parsePairs(source, separator) {
+    const pairs = new Map();
+    source.split(separator).forEach(part => {
+      const pair = part.trim();
+      if (!pair) return;
+      const equalsIndex = pair.indexOf('=');
+      const name = equalsIndex === -1 ? pair : pair.substring(0, equalsIndex);
+      // First occurrence wins, like on the edge
+      if (!pairs.has(name)) {
+        pairs.set(name, equalsIndex === -1 ? '' : pair.substring(equalsIndex + 1));
+      }
+    });
+    return pairs;
+  }
+
+  lookup(pairs, key, wholeValue) {
+    if (key === null) {
+      return wholeValue || null;
+    }
+    return pairs.has(key) ? pairs.get(key) : null;
+  }
+
+  getUserAgentPart(key) {
+    const userAgent = navigator.userAgent;
+    switch (key) {
+      case 'browser':
+        if (/MSIE|Trident/.test(userAgent)) return 'MSIE';
+        if (/Mozilla/.test(userAgent)) return 'MOZILLA';
+        return 'OTHER';
+      case 'os':
+        if (/Windows/.test(userAgent)) return 'WIN';
+        if (/Macintosh|Mac OS X/.test(userAgent)) return 'MAC';
+        if (/Linux|X11|BSD/.test(userAgent)) return 'UNIX';
+        return 'OTHER';
+      case 'version': {
+        const versionMatch = userAgent.match(/^[^/]+\/([\d.]+)/);
+        return versionMatch ? versionMatch[1] : null;
+      }
+      default:
+        return null;
+    }
+  }
+}
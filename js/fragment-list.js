@@ -0,0 +1,49 @@
+// Fragment list helpers shared by the popup and the DevTools panel, loaded before
+// popup.js and panel.js so both show fragments in the same order and with the same symbols
+
+// Depth-first order so nested fragments follow the fragment that included them.
+// Fragments finish in any order, ids keep them in document order.
+function orderFragmentsAsTree(fragments) {
+  const ids = new Set(fragments.map(f => f.id));
+  const childrenByParent = new Map();
+  [...fragments].sort((a, b) => (a.id || 0) - (b.id || 0)).forEach(fragment => {
+    const parentId = ids.has(fragment.parentId) ? fragment.parentId : null;
+    if (!childrenByParent.has(parentId)) {
+      childrenByParent.set(parentId, []);
+    }
+    childrenByParent.get(parentId).push(fragment);
+  });
+
+  const ordered = [];
+  const visit = (parentId, depth) => {
+    (childrenByParent.get(parentId) || []).forEach(fragment => {
+      ordered.push({ fragment, depth });
+      visit(fragment.id, depth + 1);
+    });
+  };
+  visit(null, 0);
+  return ordered;
+}
+
+function getFragmentStatusSymbol(fragment) {
+  if (fragment.success) return fragment.servedBy && fragment.servedBy !== fragment.url ? '✓alt' : '✓';
+  if (fragment.fallback) return '↩';
+  if (fragment.continued) return '–';
+  if (fragment.errorType === 'cycle') return '⟳';
+  if (fragment.errorType === 'timeout') return '⏱';
+  return '✗';
+}
+
+function renderFaultBadge(fragment) {
+  return fragment.fault ? `<span class="fault-badge" title="Injected fault: ${escapeHtml(fragment.fault)}">FAULT</span>` : '';
+}
+
+// Also safe in quoted attribute values
+function escapeHtml(text) {
+  if (text === null || text === undefined) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
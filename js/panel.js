@@ -0,0 +1,253 @@
+// Firefox compatibility layer
+const browserAPI = (typeof browser !== 'undefined') ? browser : chrome;
+
+// Debug logging utility
+let debugSettings = { esiEnabled: false, debugLogging: false };
+
+function debugLog(...args) {
+  if (debugSettings.esiEnabled && debugSettings.debugLogging) {
+    console.log(...args);
+  }
+}
+
+// Load debug settings
+async function loadDebugSettings() {
+  try {
+    const result = await browserAPI.storage.local.get(['esiEnabled', 'debugLogging']);
+    debugSettings.esiEnabled = result.esiEnabled !== false;
+    debugSettings.debugLogging = result.debugLogging || false;
+  } catch (e) {}
+}
+
+// Listen for storage changes to update debug settings
+browserAPI.storage.onChanged.addListener((changes) => {
+  if (changes.esiEnabled) debugSettings.esiEnabled = changes.esiEnabled.newValue;
+  if (changes.debugLogging) debugSettings.debugLogging = changes.debugLogging.newValue;
+});
+
+document.addEventListener('DOMContentLoaded', async () => {
+  await loadDebugSettings();
+  debugLog('ESI panel loaded for tab:', browserAPI.devtools.inspectedWindow.tabId);
+  const panel = new ESIPanel(browserAPI.devtools.inspectedWindow.tabId);
+});
+
+// DevTools panel: fragment tree of the inspected tab and an inspector for the
+// selected fragment. Updates live, ESIProcessor saves the stats after every fragment.
+class ESIPanel {
+  constructor(tabId) {
+    this.tabId = tabId;
+    this.pageUrl = null;
+    this.fragments = [];
+    this.selectedId = null;
+    this.init();
+  }
+
+  async init() {
+    this.setupEventListeners();
+
+    const pageInfo = await this.sendToPage({ action: 'getPageInfo' });
+    this.pageUrl = pageInfo ? pageInfo.url : null;
+    await this.loadStats();
+
+    browserAPI.storage.onChanged.addListener((changes) => {
+      const statsKey = this.getStatsKey();
+      if (statsKey && changes[statsKey]) {
+        const stats = changes[statsKey].newValue;
+        this.fragments = stats ? stats.fragments : [];
+        this.render();
+      }
+    });
+
+    browserAPI.devtools.network.onNavigated.addListener((url) => {
+      debugLog('Inspected page navigated to:', url);
+      this.pageUrl = url;
+      this.selectedId = null;
+      this.loadStats();
+    });
+  }
+
+  setupEventListeners() {
+    document.getElementById('fragmentTree').addEventListener('click', (e) => {
+      const node = e.target.closest('.tree-node');
+      if (node) {
+        this.selectFragment(parseInt(node.dataset.fragmentId, 10));
+      }
+    });
+
+    document.getElementById('refresh').addEventListener('click', () => {
+      this.loadStats();
+    });
+  }
+
+  getStatsKey() {
+    return this.pageUrl ? `esiStats_${this.pageUrl}` : null;
+  }
+
+  // The panel has no tabs API, messages go through the background script
+  async sendToPage(message) {
+    try {
+      return await browserAPI.runtime.sendMessage({ action: 'forwardToTab', tabId: this.tabId, message: message });
+    } catch (error) {
+      debugLog('Could not reach the inspected page:', error);
+      return null;
+    }
+  }
+
+  async loadStats() {
+    const statsKey = this.getStatsKey();
+    if (!statsKey) {
+      this.fragments = [];
+      this.render();
+      return;
+    }
+    const result = await browserAPI.storage.local.get([statsKey]);
+    this.fragments = result[statsKey] ? result[statsKey].fragments : [];
+    this.render();
+  }
+
+  render() {
+    document.getElementById('pageUrl').textContent = this.pageUrl || '';
+    const failed = this.fragments.filter(fragment => !fragment.success).length;
+    document.getElementById('summary').textContent = this.fragments.length ?
+      `${this.fragments.length} fragments, ${failed} failed` : '';
+
+    this.renderTree();
+    if (this.selectedId !== null) {
+      this.renderInspector();
+    }
+  }
+
+  renderTree() {
+    const tree = document.getElementById('fragmentTree');
+    tree.innerHTML = '';
+
+    if (this.fragments.length === 0) {
+      tree.innerHTML = '<div class="empty">No ESI fragments processed yet</div>';
+      return;
+    }
+
+    orderFragmentsAsTree(this.fragments).forEach(({ fragment, depth }) => {
+      const node = document.createElement('div');
+      node.className = `tree-node ${fragment.success ? 'node-success' : 'node-error'}`;
+      if (fragment.fallback) node.classList.add('node-fallback');
+      if (fragment.id === this.selectedId) node.classList.add('selected');
+      node.dataset.fragmentId = fragment.id || 0;
+      node.style.paddingLeft = `${8 + depth * 16}px`;
+      node.title = fragment.resolvedUrl || fragment.url;
+      node.innerHTML = `
+        <span class="node-status">${getFragmentStatusSymbol(fragment)}</span>
+        <span class="node-id">#${fragment.id || 0}</span>
+        <span class="node-url">${escapeHtml(fragment.url)}</span>
+        ${renderFaultBadge(fragment)}
+        <span class="node-duration">${fragment.duration !== undefined ? `${fragment.duration} ms` : ''}</span>
+      `;
+      tree.appendChild(node);
+    });
+  }
+
+  async selectFragment(fragmentId) {
+    debugLog('Selected fragment:', fragmentId);
+    this.selectedId = fragmentId;
+    this.renderTree();
+    this.renderInspector();
+    // Reuses the popup's jump, which scrolls to the container and outlines it
+    await this.sendToPage({ action: 'jumpToFragment', fragmentId: fragmentId });
+  }
+
+  async renderInspector() {
+    const inspector = document.getElementById('inspector');
+    const fragment = this.fragments.find(f => f.id === this.selectedId);
+    if (!fragment) {
+      inspector.innerHTML = '<div class="empty">Select a fragment to inspect it</div>';
+      return;
+    }
+
+    const requests = await this.loadRequests(fragment);
+    // The selection may have changed while the requests were loading
+    if (fragment.id !== this.selectedId) {
+      return;
+    }
+
+    const details = [
+      ['URL', fragment.url],
+      ['Resolved URL', fragment.resolvedUrl],
+      ['Rewritten URL', fragment.rewrittenUrl !== fragment.resolvedUrl ? fragment.rewrittenUrl : null],
+      ['Served by', fragment.servedBy && fragment.servedBy !== fragment.url ? fragment.servedBy : null],
+      ['Parent', fragment.parentId ? `#${fragment.parentId}` : null],
+      ['Result', this.getResultText(fragment)],
+      ['HTTP status', fragment.status],
+      ['Content-Type', fragment.contentType],
+      ['Fragment cache', fragment.cacheStatus],
+      ['Mocked', fragment.mocked ? 'yes' : null],
+      ['Injected fault', fragment.fault],
+      ['Raw HTML mode', fragment.raw ? 'yes' : null],
+      ['Started', fragment.startTime ? new Date(fragment.startTime).toLocaleTimeString() : null],
+      ['Queued', fragment.queueWait ? `${fragment.queueWait} ms` : null],
+      ['First byte', fragment.ttfb !== undefined && fragment.ttfb !== null ? `${fragment.ttfb} ms` : null],
+      ['Duration', fragment.duration !== undefined ? `${fragment.duration} ms` : null],
+      ['Size', fragment.size !== undefined ? `${fragment.size} bytes` : null],
+      ['Error', fragment.error],
+      ['Last reload failed', fragment.lastReloadError]
+    ];
+    Object.entries(fragment.responseHeaders || {}).forEach(([name, value]) => details.push([name, value]));
+
+    let html = `
+      <h3>#${fragment.id} ${escapeHtml(fragment.url)}</h3>
+      ${this.renderTable(details.filter(([, value]) => value !== null && value !== undefined && value !== ''))}
+    `;
+
+    if ((fragment.attempts || []).length > 1) {
+      html += `<h4>Attempts</h4>${this.renderTable(fragment.attempts.map(attempt => [
+        attempt.success ? '✓' : '✗',
+        `${attempt.url}${attempt.error ? ` (${attempt.error})` : ''}${attempt.fault ? `, injected ${attempt.fault}` : ''}${attempt.retries ? `, ${attempt.retries} retries` : ''}`
+      ]))}`;
+    }
+
+    if (requests.length === 0) {
+      html += '<h4>Requests</h4><div class="empty-inline">No request was sent (cache hit, mock, injected fault, or the page was reloaded since)</div>';
+    }
+    requests.forEach((request, index) => {
+      html += `
+        <h4>Request ${requests.length > 1 ? `${index + 1} of ${requests.length}` : ''}</h4>
+        <div class="request-line">${escapeHtml(request.method || 'GET')} ${escapeHtml(request.url)}
+          → ${request.status ? escapeHtml(`${request.status} ${request.statusText || ''}`) : escapeHtml(request.error || 'no response')}
+          (${request.duration} ms)</div>
+        <h5>Request headers</h5>
+        ${this.renderTable(Object.entries(request.requestHeaders || {}).concat([['credentials', request.credentials]]))}
+        <h5>Response headers</h5>
+        ${this.renderTable(request.responseHeaders || [])}
+        <h5>Body</h5>
+        <pre class="body">${escapeHtml(request.body || '')}</pre>
+      `;
+    });
+
+    inspector.innerHTML = html;
+  }
+
+  // Requests are kept in memory by the content script, or by the background script in raw HTML mode
+  async loadRequests(fragment) {
+    const log = fragment.raw ?
+      await browserAPI.runtime.sendMessage({ action: 'getRawRequestLog', tabId: this.tabId }).catch(() => null) :
+      await this.sendToPage({ action: 'getRequestLog' });
+    return (log ? log.entries : []).filter(request => request.fragmentId === fragment.id);
+  }
+
+  renderTable(rows) {
+    if (rows.length === 0) {
+      return '<div class="empty-inline">None</div>';
+    }
+    return `<table class="details">${rows.map(([name, value]) => `
+      <tr><th>${escapeHtml(String(name))}</th><td>${escapeHtml(String(value))}</td></tr>
+    `).join('')}</table>`;
+  }
+
+  getResultText(fragment) {
+    if (fragment.success) return 'Included';
+    if (fragment.fallback) return 'Failed, esi:except branch rendered';
+    if (fragment.continued) return 'Failed, removed (onerror="continue")';
+    if (fragment.errorType === 'cycle') return 'Include cycle';
+    if (fragment.errorType === 'timeout') return 'Timed out';
+    if (fragment.errorType === 'content-type') return 'Unsupported content type';
+    return 'Failed';
+  }
+}
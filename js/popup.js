@@ -25,6 +25,30 @@ browserAPI.storage.onChanged.addListener((changes) => {
   if (changes.debugLogging) debugSettings.debugLogging = changes.debugLogging.newValue;
 });
 
+const DEFAULT_MAX_INCLUDE_DEPTH = 5;
+const DEFAULT_MAX_CONCURRENT_FETCHES = 6;
+const DEFAULT_FRAGMENT_TIMEOUT = 10000;
+const DEFAULT_FRAGMENT_RETRIES = 0;
+// Raw HTML mode needs the Firefox response filter. Its permissions are optional,
+// Chrome refuses webRequest in event pages, so they are requested when the mode is
+// turned on and browserAPI.webRequest may not exist yet. getBrowserInfo is Firefox only.
+const RAW_HTML_MODE_SUPPORTED = typeof browser !== 'undefined' && !!browser.runtime.getBrowserInfo;
+const RAW_HTML_MODE_PERMISSIONS = { permissions: ['webRequest', 'webRequestBlocking'] };
+// Request headers fetch drops without an error, the HAR export leaves them out
+// because they were never sent. Chrome still drops User-Agent.
+const FORBIDDEN_REQUEST_HEADERS = [
+  'accept-charset', 'accept-encoding', 'access-control-request-headers', 'access-control-request-method',
+  'connection', 'content-length', 'cookie', 'cookie2', 'date', 'dnt', 'expect', 'host', 'keep-alive',
+  'origin', 'referer', 'set-cookie', 'te', 'trailer', 'transfer-encoding', 'upgrade', 'user-agent', 'via'
+];
+const FORBIDDEN_REQUEST_HEADER_PREFIXES = ['proxy-', 'sec-'];
+
+function isForbiddenRequestHeader(name) {
+  const lowerName = name.toLowerCase();
+  return FORBIDDEN_REQUEST_HEADERS.includes(lowerName) ||
+    FORBIDDEN_REQUEST_HEADER_PREFIXES.some(prefix => lowerName.startsWith(prefix));
+}
+
 document.addEventListener('DOMContentLoaded', async () => {
   await loadDebugSettings();
   debugLog('Popup DOM loaded, browserAPI:', typeof browserAPI);
@@ -35,11 +59,19 @@ class ESIPopup {
   constructor() {
     debugLog('ESIPopup constructor');
     this.enabled = true;
-    this.customHeaders = [];
-    this.forwardHeaders = false;
-    this.forwardCookies = false;
+    this.profiles = [];
+    this.profile = null; // Profile being edited
+    this.matchingProfileId = null; // Profile that applies to the current tab
     this.debugLogging = false;
-    this.executeScripts = false;
+    this.rewriteRules = [];
+    this.fragmentMocks = [];
+    this.faultRules = [];
+    this.maxIncludeDepth = DEFAULT_MAX_INCLUDE_DEPTH;
+    this.maxConcurrentFetches = DEFAULT_MAX_CONCURRENT_FETCHES;
+    this.fragmentTimeout = DEFAULT_FRAGMENT_TIMEOUT;
+    this.fragmentRetries = DEFAULT_FRAGMENT_RETRIES;
+    this.rawHtmlMode = false;
+    this.overlayEnabled = false;
     this.init();
   }
 
@@ -48,7 +80,10 @@ class ESIPopup {
     await this.loadSettings();
     this.setupEventListeners();
     await this.loadStats();
-    this.renderHeaders();
+    this.renderProfile();
+    this.renderRewriteRules();
+    this.renderMocks();
+    this.renderFaultRules();
     debugLog('ESIPopup init complete');
   }
 
@@ -57,53 +92,90 @@ class ESIPopup {
       debugLog('Loading settings...');
       const result = await browserAPI.storage.local.get([
         'esiEnabled', 
-        'customHeaders', 
-        'forwardHeaders', 
-        'forwardCookies',
         'debugLogging',
-        'executeScripts'
+        'maxIncludeDepth',
+        'maxConcurrentFetches',
+        'fragmentTimeout',
+        'fragmentRetries',
+        'rawHtmlMode',
+        'rewriteRules',
+        'fragmentMocks',
+        'faultRules'
       ]);
       debugLog('Settings result:', result);
       
       this.enabled = result.esiEnabled !== false;
-      this.customHeaders = result.customHeaders || [];
-      this.forwardHeaders = result.forwardHeaders || false;
-      this.forwardCookies = result.forwardCookies || false;
       this.debugLogging = result.debugLogging || false;
-      this.executeScripts = result.executeScripts || false;
+      this.rewriteRules = result.rewriteRules || [];
+      this.fragmentMocks = result.fragmentMocks || [];
+      this.faultRules = result.faultRules || [];
+      this.maxIncludeDepth = result.maxIncludeDepth !== undefined ? result.maxIncludeDepth : DEFAULT_MAX_INCLUDE_DEPTH;
+      this.maxConcurrentFetches = result.maxConcurrentFetches || DEFAULT_MAX_CONCURRENT_FETCHES;
+      this.fragmentTimeout = result.fragmentTimeout !== undefined ? result.fragmentTimeout : DEFAULT_FRAGMENT_TIMEOUT;
+      this.fragmentRetries = result.fragmentRetries !== undefined ? result.fragmentRetries : DEFAULT_FRAGMENT_RETRIES;
+      this.rawHtmlMode = result.rawHtmlMode || false;
+      
+      this.profiles = await loadProfiles();
+      const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+      // The overlay is switched per tab, pages without the content script can't show it
+      const overlayState = tab ? await browserAPI.tabs.sendMessage(tab.id, { action: 'getOverlayEnabled' }).catch(() => null) : null;
+      this.overlayEnabled = !!(overlayState && overlayState.overlayEnabled);
+      const matchingProfile = findMatchingProfile(this.profiles, tab && tab.url);
+      this.matchingProfileId = matchingProfile ? matchingProfile.id : null;
+      this.profile = matchingProfile || this.profiles[0] || null;
       
-      debugLog('Parsed settings - enabled:', this.enabled, 'headers:', this.customHeaders.length, 'debug:', this.debugLogging, 'scripts:', this.executeScripts);
+      debugLog('Parsed settings - enabled:', this.enabled, 'profiles:', this.profiles.length, 'matching profile:', this.matchingProfileId, 'debug:', this.debugLogging);
       
       // Set toggle states
       const toggleElement = document.getElementById('enableToggle');
-      const forwardHeadersElement = document.getElementById('forwardHeaders');
-      const forwardCookiesElement = document.getElementById('forwardCookies');
       const debugLoggingElement = document.getElementById('debugLogging');
-      const executeScriptsElement = document.getElementById('executeScripts');
+      const maxIncludeDepthElement = document.getElementById('maxIncludeDepth');
+      const maxConcurrentFetchesElement = document.getElementById('maxConcurrentFetches');
+      const fragmentTimeoutElement = document.getElementById('fragmentTimeout');
+      const fragmentRetriesElement = document.getElementById('fragmentRetries');
+      const rawHtmlModeElement = document.getElementById('rawHtmlMode');
+      const overlayEnabledElement = document.getElementById('overlayEnabled');
       
       if (toggleElement) {
         toggleElement.checked = this.enabled;
         debugLog('Toggle set to:', this.enabled);
       }
       
-      if (forwardHeadersElement) {
-        forwardHeadersElement.checked = this.forwardHeaders;
-        debugLog('Forward headers set to:', this.forwardHeaders);
+      if (debugLoggingElement) {
+        debugLoggingElement.checked = this.debugLogging;
+        debugLog('Debug logging set to:', this.debugLogging);
       }
       
-      if (forwardCookiesElement) {
-        forwardCookiesElement.checked = this.forwardCookies;
-        debugLog('Forward cookies set to:', this.forwardCookies);
+      if (maxIncludeDepthElement) {
+        maxIncludeDepthElement.value = this.maxIncludeDepth;
+        debugLog('Max include depth set to:', this.maxIncludeDepth);
       }
       
-      if (debugLoggingElement) {
-        debugLoggingElement.checked = this.debugLogging;
-        debugLog('Debug logging set to:', this.debugLogging);
+      if (maxConcurrentFetchesElement) {
+        maxConcurrentFetchesElement.value = this.maxConcurrentFetches;
+        debugLog('Max concurrent fetches set to:', this.maxConcurrentFetches);
+      }
+      
+      if (fragmentTimeoutElement) {
+        fragmentTimeoutElement.value = this.fragmentTimeout;
+        debugLog('Fragment timeout set to:', this.fragmentTimeout);
       }
       
-      if (executeScriptsElement) {
-        executeScriptsElement.checked = this.executeScripts;
-        debugLog('Execute scripts set to:', this.executeScripts);
+      if (fragmentRetriesElement) {
+        fragmentRetriesElement.value = this.fragmentRetries;
+        debugLog('Fragment retries set to:', this.fragmentRetries);
+      }
+      
+      if (rawHtmlModeElement) {
+        rawHtmlModeElement.checked = this.rawHtmlMode && RAW_HTML_MODE_SUPPORTED;
+        rawHtmlModeElement.disabled = !RAW_HTML_MODE_SUPPORTED;
+        debugLog('Raw HTML mode set to:', this.rawHtmlMode, 'supported:', RAW_HTML_MODE_SUPPORTED);
+      }
+      
+      if (overlayEnabledElement) {
+        overlayEnabledElement.checked = this.overlayEnabled;
+        overlayEnabledElement.disabled = !overlayState;
+        debugLog('Fragment overlay set to:', this.overlayEnabled, 'available:', !!overlayState);
       }
       
     } catch (error) {
@@ -115,19 +187,29 @@ class ESIPopup {
     try {
       debugLog('Saving settings:', { 
         esiEnabled: this.enabled, 
-        customHeaders: this.customHeaders,
-        forwardHeaders: this.forwardHeaders,
-        forwardCookies: this.forwardCookies,
+        profiles: this.profiles,
+        rewriteRules: this.rewriteRules,
+        fragmentMocks: this.fragmentMocks,
+        faultRules: this.faultRules,
         debugLogging: this.debugLogging,
-        executeScripts: this.executeScripts
+        maxIncludeDepth: this.maxIncludeDepth,
+        maxConcurrentFetches: this.maxConcurrentFetches,
+        fragmentTimeout: this.fragmentTimeout,
+        fragmentRetries: this.fragmentRetries,
+        rawHtmlMode: this.rawHtmlMode
       });
       await browserAPI.storage.local.set({
         esiEnabled: this.enabled,
-        customHeaders: this.customHeaders,
-        forwardHeaders: this.forwardHeaders,
-        forwardCookies: this.forwardCookies,
+        profiles: this.profiles,
+        rewriteRules: this.rewriteRules,
+        fragmentMocks: this.fragmentMocks,
+        faultRules: this.faultRules,
         debugLogging: this.debugLogging,
-        executeScripts: this.executeScripts
+        maxIncludeDepth: this.maxIncludeDepth,
+        maxConcurrentFetches: this.maxConcurrentFetches,
+        fragmentTimeout: this.fragmentTimeout,
+        fragmentRetries: this.fragmentRetries,
+        rawHtmlMode: this.rawHtmlMode
       });
       debugLog('Settings saved successfully');
     } catch (error) {
@@ -149,12 +231,79 @@ class ESIPopup {
       });
     }
 
+    // Profile selection and editing
+    const profileSelectElement = document.getElementById('profileSelect');
+    if (profileSelectElement) {
+      profileSelectElement.addEventListener('change', (e) => {
+        debugLog('Profile selected:', e.target.value);
+        this.profile = this.profiles.find(profile => profile.id === e.target.value) || null;
+        this.renderProfile();
+      });
+    }
+
+    const addProfileBtn = document.getElementById('addProfile');
+    if (addProfileBtn) {
+      addProfileBtn.addEventListener('click', async () => {
+        debugLog('Add profile clicked');
+        const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+        let host = '';
+        try {
+          host = tab && tab.url ? new URL(tab.url).hostname : '';
+        } catch (e) {}
+        // Put the new profile first so it wins over catch-all profiles
+        this.profile = createProfile(host || 'New profile', host ? [host] : []);
+        this.profiles.unshift(this.profile);
+        this.updateMatchingProfile(tab && tab.url);
+        this.renderProfile();
+        this.saveSettings();
+      });
+    }
+
+    const removeProfileBtn = document.getElementById('removeProfile');
+    if (removeProfileBtn) {
+      removeProfileBtn.addEventListener('click', async () => {
+        if (!this.profile) return;
+        debugLog('Remove profile:', this.profile.id);
+        this.profiles = this.profiles.filter(profile => profile !== this.profile);
+        this.profile = this.profiles[0] || null;
+        const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+        this.updateMatchingProfile(tab && tab.url);
+        this.renderProfile();
+        this.saveSettings();
+      });
+    }
+
+    const profileNameElement = document.getElementById('profileName');
+    if (profileNameElement) {
+      profileNameElement.addEventListener('change', (e) => {
+        if (!this.profile) return;
+        debugLog('Profile name changed to:', e.target.value);
+        this.profile.name = e.target.value.trim() || 'Unnamed profile';
+        this.renderProfile();
+        this.saveSettings();
+      });
+    }
+
+    const profilePatternsElement = document.getElementById('profilePatterns');
+    if (profilePatternsElement) {
+      profilePatternsElement.addEventListener('change', async (e) => {
+        if (!this.profile) return;
+        this.profile.patterns = e.target.value.split(',').map(pattern => pattern.trim()).filter(Boolean);
+        debugLog('Profile patterns changed to:', this.profile.patterns);
+        const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+        this.updateMatchingProfile(tab && tab.url);
+        this.renderProfile();
+        this.saveSettings();
+      });
+    }
+
     // Forward headers toggle
     const forwardHeadersElement = document.getElementById('forwardHeaders');
     if (forwardHeadersElement) {
       forwardHeadersElement.addEventListener('change', (e) => {
+        if (!this.profile) return;
         debugLog('Forward headers changed to:', e.target.checked);
-        this.forwardHeaders = e.target.checked;
+        this.profile.forwardHeaders = e.target.checked;
         this.saveSettings();
       });
     }
@@ -163,8 +312,9 @@ class ESIPopup {
     const forwardCookiesElement = document.getElementById('forwardCookies');
     if (forwardCookiesElement) {
       forwardCookiesElement.addEventListener('change', (e) => {
+        if (!this.profile) return;
         debugLog('Forward cookies changed to:', e.target.checked);
-        this.forwardCookies = e.target.checked;
+        this.profile.forwardCookies = e.target.checked;
         this.saveSettings();
       });
     }
@@ -183,8 +333,110 @@ class ESIPopup {
     const executeScriptsElement = document.getElementById('executeScripts');
     if (executeScriptsElement) {
       executeScriptsElement.addEventListener('change', (e) => {
+        if (!this.profile) return;
         debugLog('Execute scripts changed to:', e.target.checked);
-        this.executeScripts = e.target.checked;
+        this.profile.executeScripts = e.target.checked;
+        this.saveSettings();
+      });
+    }
+
+    // Observe mutations toggle
+    const observeMutationsElement = document.getElementById('observeMutations');
+    if (observeMutationsElement) {
+      observeMutationsElement.addEventListener('change', (e) => {
+        if (!this.profile) return;
+        debugLog('Observe mutations changed to:', e.target.checked);
+        this.profile.observeMutations = e.target.checked;
+        this.saveSettings();
+      });
+    }
+
+    // Max include depth input
+    const maxIncludeDepthElement = document.getElementById('maxIncludeDepth');
+    if (maxIncludeDepthElement) {
+      maxIncludeDepthElement.addEventListener('change', (e) => {
+        const depth = parseInt(e.target.value, 10);
+        debugLog('Max include depth changed to:', depth);
+        if (Number.isInteger(depth) && depth >= 0) {
+          this.maxIncludeDepth = depth;
+          this.saveSettings();
+        } else {
+          e.target.value = this.maxIncludeDepth;
+        }
+      });
+    }
+
+    // Max concurrent fetches input
+    const maxConcurrentFetchesElement = document.getElementById('maxConcurrentFetches');
+    if (maxConcurrentFetchesElement) {
+      maxConcurrentFetchesElement.addEventListener('change', (e) => {
+        const limit = parseInt(e.target.value, 10);
+        debugLog('Max concurrent fetches changed to:', limit);
+        if (Number.isInteger(limit) && limit >= 1) {
+          this.maxConcurrentFetches = limit;
+          this.saveSettings();
+        } else {
+          e.target.value = this.maxConcurrentFetches;
+        }
+      });
+    }
+
+    // Fragment timeout input (ms, 0 disables the timeout)
+    const fragmentTimeoutElement = document.getElementById('fragmentTimeout');
+    if (fragmentTimeoutElement) {
+      fragmentTimeoutElement.addEventListener('change', (e) => {
+        const timeout = parseInt(e.target.value, 10);
+        debugLog('Fragment timeout changed to:', timeout);
+        if (Number.isInteger(timeout) && timeout >= 0) {
+          this.fragmentTimeout = timeout;
+          this.saveSettings();
+        } else {
+          e.target.value = this.fragmentTimeout;
+        }
+      });
+    }
+
+    // Fragment retries input
+    const fragmentRetriesElement = document.getElementById('fragmentRetries');
+    if (fragmentRetriesElement) {
+      fragmentRetriesElement.addEventListener('change', (e) => {
+        const retries = parseInt(e.target.value, 10);
+        debugLog('Fragment retries changed to:', retries);
+        if (Number.isInteger(retries) && retries >= 0) {
+          this.fragmentRetries = retries;
+          this.saveSettings();
+        } else {
+          e.target.value = this.fragmentRetries;
+        }
+      });
+    }
+
+    // Fragment overlay toggle
+    const overlayEnabledElement = document.getElementById('overlayEnabled');
+    if (overlayEnabledElement) {
+      overlayEnabledElement.addEventListener('change', (e) => {
+        debugLog('Fragment overlay changed to:', e.target.checked);
+        this.setOverlayEnabled(e.target.checked);
+      });
+    }
+
+    // Raw HTML mode toggle
+    const rawHtmlModeElement = document.getElementById('rawHtmlMode');
+    if (rawHtmlModeElement) {
+      rawHtmlModeElement.addEventListener('change', async (e) => {
+        debugLog('Raw HTML mode changed to:', e.target.checked);
+        if (e.target.checked) {
+          // Must be requested while handling the user's click
+          const granted = await browserAPI.permissions.request(RAW_HTML_MODE_PERMISSIONS).catch(error => {
+            debugLog('Could not request raw HTML mode permissions:', error);
+            return false;
+          });
+          if (!granted) {
+            e.target.checked = false;
+            return;
+          }
+        }
+        this.rawHtmlMode = e.target.checked;
         this.saveSettings();
       });
     }
@@ -193,13 +445,171 @@ class ESIPopup {
     const addHeaderBtn = document.getElementById('addHeader');
     if (addHeaderBtn) {
       addHeaderBtn.addEventListener('click', () => {
+        if (!this.profile) return;
         debugLog('Add header clicked');
-        this.customHeaders.push({ name: '', value: '' });
+        this.profile.customHeaders.push({ name: '', value: '' });
         this.renderHeaders();
         this.saveSettings();
       });
     }
 
+    // Event delegation for header inputs and remove buttons
+    const headersContainer = document.getElementById('headersContainer');
+    if (headersContainer) {
+      headersContainer.addEventListener('input', (e) => {
+        if (this.profile && e.target.classList.contains('header-input')) {
+          const index = parseInt(e.target.dataset.index);
+          const field = e.target.dataset.field;
+          debugLog('Header input changed:', index, field, e.target.value);
+          if (this.profile.customHeaders[index]) {
+            this.profile.customHeaders[index][field] = e.target.value;
+            this.saveSettings();
+          }
+        }
+      });
+
+      headersContainer.addEventListener('click', (e) => {
+        if (this.profile && e.target.classList.contains('remove-header')) {
+          const index = parseInt(e.target.dataset.index);
+          debugLog('Remove header:', index);
+          this.profile.customHeaders.splice(index, 1);
+          this.renderHeaders();
+          this.saveSettings();
+        }
+      });
+    }
+
+    // Rewrite rules
+    const addRewriteRuleBtn = document.getElementById('addRewriteRule');
+    if (addRewriteRuleBtn) {
+      addRewriteRuleBtn.addEventListener('click', () => {
+        debugLog('Add rewrite rule clicked');
+        this.rewriteRules.push({ type: 'prefix', match: '', target: '' });
+        this.renderRewriteRules();
+        this.saveSettings();
+      });
+    }
+
+    const rewriteRulesContainer = document.getElementById('rewriteRulesContainer');
+    if (rewriteRulesContainer) {
+      const updateRule = (e) => {
+        const field = e.target.dataset.field;
+        const index = parseInt(e.target.dataset.index);
+        if (field && this.rewriteRules[index]) {
+          debugLog('Rewrite rule changed:', index, field, e.target.value);
+          this.rewriteRules[index][field] = e.target.value;
+          this.saveSettings();
+        }
+      };
+      rewriteRulesContainer.addEventListener('input', updateRule);
+      rewriteRulesContainer.addEventListener('change', updateRule);
+
+      rewriteRulesContainer.addEventListener('click', (e) => {
+        const index = parseInt(e.target.dataset.index);
+        if (e.target.classList.contains('remove-rule')) {
+          debugLog('Remove rewrite rule:', index);
+          this.rewriteRules.splice(index, 1);
+        } else if (e.target.classList.contains('move-rule-up') && index > 0) {
+          debugLog('Move rewrite rule up:', index);
+          const [rule] = this.rewriteRules.splice(index, 1);
+          this.rewriteRules.splice(index - 1, 0, rule);
+        } else {
+          return;
+        }
+        this.renderRewriteRules();
+        this.saveSettings();
+      });
+    }
+
+    // Fragment mocks
+    const addMockBtn = document.getElementById('addMock');
+    if (addMockBtn) {
+      addMockBtn.addEventListener('click', () => {
+        debugLog('Add mock clicked');
+        this.fragmentMocks.push({ enabled: true, pattern: '', status: 200, headers: 'Content-Type: text/html', body: '' });
+        this.renderMocks();
+        this.saveSettings();
+      });
+    }
+
+    const mocksContainer = document.getElementById('mocksContainer');
+    if (mocksContainer) {
+      const updateMock = (e) => {
+        const field = e.target.dataset.field;
+        const index = parseInt(e.target.dataset.index);
+        if (field && this.fragmentMocks[index]) {
+          const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+          debugLog('Mock changed:', index, field, value);
+          this.fragmentMocks[index][field] = value;
+          this.saveSettings();
+        }
+      };
+      mocksContainer.addEventListener('input', updateMock);
+      mocksContainer.addEventListener('change', updateMock);
+
+      mocksContainer.addEventListener('click', (e) => {
+        if (e.target.classList.contains('remove-mock')) {
+          const index = parseInt(e.target.dataset.index);
+          debugLog('Remove mock:', index);
+          this.fragmentMocks.splice(index, 1);
+          this.renderMocks();
+          this.saveSettings();
+        }
+      });
+    }
+
+    // Fault injection
+    const addFaultRuleBtn = document.getElementById('addFaultRule');
+    if (addFaultRuleBtn) {
+      addFaultRuleBtn.addEventListener('click', () => {
+        debugLog('Add fault rule clicked');
+        this.faultRules.push({ enabled: true, pattern: '', type: 'network', value: '' });
+        this.renderFaultRules();
+        this.saveSettings();
+      });
+    }
+
+    const faultRulesContainer = document.getElementById('faultRulesContainer');
+    if (faultRulesContainer) {
+      const updateFaultRule = (e) => {
+        const field = e.target.dataset.field;
+        const index = parseInt(e.target.dataset.index);
+        if (field && this.faultRules[index]) {
+          const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+          debugLog('Fault rule changed:', index, field, value);
+          this.faultRules[index][field] = value;
+          this.saveSettings();
+          // The value field means something else for each type
+          if (field === 'type' && e.type === 'change') {
+            this.renderFaultRules();
+          }
+        }
+      };
+      faultRulesContainer.addEventListener('input', updateFaultRule);
+      faultRulesContainer.addEventListener('change', updateFaultRule);
+
+      faultRulesContainer.addEventListener('click', (e) => {
+        if (e.target.classList.contains('remove-fault-rule')) {
+          const index = parseInt(e.target.dataset.index);
+          debugLog('Remove fault rule:', index);
+          this.faultRules.splice(index, 1);
+          this.renderFaultRules();
+          this.saveSettings();
+        }
+      });
+    }
+
+    // Purge cache button
+    const purgeCacheBtn = document.getElementById('purgeCache');
+    if (purgeCacheBtn) {
+      purgeCacheBtn.addEventListener('click', () => {
+        const patternElement = document.getElementById('purgePattern');
+        const pattern = patternElement ? patternElement.value.trim() : '';
+        debugLog('Purge cache clicked, pattern:', pattern);
+        this.purgeCache(pattern);
+      });
+    }
+
     // Clear stats button
     const clearStatsBtn = document.getElementById('clearStats');
     if (clearStatsBtn) {
@@ -208,6 +618,71 @@ class ESIPopup {
         this.clearStats();
       });
     }
+
+    // HAR export button
+    const exportHarBtn = document.getElementById('exportHar');
+    if (exportHarBtn) {
+      exportHarBtn.addEventListener('click', () => {
+        const includeBodiesElement = document.getElementById('harIncludeBodies');
+        debugLog('Export HAR clicked');
+        this.exportHar(includeBodiesElement ? includeBodiesElement.checked : false);
+      });
+    }
+
+    // Event delegation for the fragment actions, registered once since the
+    // list is re-rendered and a reload must not be sent twice
+    const fragmentsListElement = document.getElementById('fragmentsList');
+    if (fragmentsListElement) {
+      fragmentsListElement.addEventListener('click', (e) => {
+        const fragmentId = e.target.dataset.fragmentId;
+        if (!fragmentId) {
+          return;
+        }
+        if (e.target.classList.contains('reload-fragment')) {
+          debugLog('Reload fragment:', fragmentId);
+          this.reloadFragment(parseInt(fragmentId), e.target);
+        } else if (e.target.classList.contains('fail-fragment')) {
+          debugLog('Fail fragment:', fragmentId);
+          this.failFragment(parseInt(fragmentId), e.target.dataset.faultUrls.split('\n'), e.target);
+        } else if (e.target.classList.contains('view-source')) {
+          debugLog('View source of fragment:', fragmentId);
+          this.openSourceViewer(parseInt(fragmentId));
+        } else if (e.target.classList.contains('toggle-fragment')) {
+          debugLog('Toggle fragment resolution:', fragmentId);
+          this.setResolved({
+            action: 'setFragmentResolved',
+            fragmentId: parseInt(fragmentId),
+            resolved: e.target.classList.contains('unresolved')
+          });
+        } else if (e.target.classList.contains('jump-to-fragment') || e.target.classList.contains('fragment-url')) {
+          debugLog('Jump to fragment:', fragmentId);
+          this.jumpToFragment(parseInt(fragmentId));
+        }
+      });
+    }
+
+    // Switches every fragment on the page between resolved and original ESI markup
+    const togglePageResolutionBtn = document.getElementById('togglePageResolution');
+    if (togglePageResolutionBtn) {
+      togglePageResolutionBtn.addEventListener('click', () => {
+        debugLog('Toggle page resolution clicked');
+        this.setResolved({
+          action: 'setPageResolved',
+          resolved: togglePageResolutionBtn.classList.contains('unresolved')
+        });
+      });
+    }
+
+    // Waterfall rows jump to their fragment
+    const waterfallElement = document.getElementById('waterfall');
+    if (waterfallElement) {
+      waterfallElement.addEventListener('click', (e) => {
+        const row = e.target.closest('.waterfall-row');
+        if (row && row.dataset.fragmentId) {
+          this.jumpToFragment(parseInt(row.dataset.fragmentId));
+        }
+      });
+    }
   }
 
   updateIcon(enabled) {
@@ -222,8 +697,65 @@ class ESIPopup {
     }
   }
 
+  updateMatchingProfile(url) {
+    const matchingProfile = findMatchingProfile(this.profiles, url);
+    this.matchingProfileId = matchingProfile ? matchingProfile.id : null;
+  }
+
+  renderProfile() {
+    debugLog('Rendering profile:', this.profile && this.profile.name);
+
+    const profileMatchElement = document.getElementById('profileMatch');
+    if (profileMatchElement) {
+      const matchingProfile = this.profiles.find(profile => profile.id === this.matchingProfileId);
+      const hasEmptyProfile = this.profiles.some(profile => !(profile.patterns || []).length);
+      profileMatchElement.textContent = matchingProfile ?
+        `Active on this page: ${matchingProfile.name}` :
+        'No profile matches this page, it is left untouched' + (hasEmptyProfile ? ' (profiles without patterns match no page)' : '');
+      profileMatchElement.classList.toggle('profile-match-none', !matchingProfile);
+    }
+
+    const profileSelectElement = document.getElementById('profileSelect');
+    if (profileSelectElement) {
+      profileSelectElement.innerHTML = '';
+      this.profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.id === this.matchingProfileId ? `${profile.name} ●` : profile.name;
+        option.selected = profile === this.profile;
+        profileSelectElement.appendChild(option);
+      });
+    }
+
+    const profileNameElement = document.getElementById('profileName');
+    const profilePatternsElement = document.getElementById('profilePatterns');
+    const forwardHeadersElement = document.getElementById('forwardHeaders');
+    const forwardCookiesElement = document.getElementById('forwardCookies');
+    const executeScriptsElement = document.getElementById('executeScripts');
+    const observeMutationsElement = document.getElementById('observeMutations');
+
+    if (profileNameElement) profileNameElement.value = this.profile ? this.profile.name : '';
+    if (profilePatternsElement) profilePatternsElement.value = this.profile ? this.profile.patterns.join(', ') : '';
+    if (forwardHeadersElement) forwardHeadersElement.checked = this.profile ? this.profile.forwardHeaders : false;
+    if (forwardCookiesElement) forwardCookiesElement.checked = this.profile ? this.profile.forwardCookies : false;
+    if (executeScriptsElement) executeScriptsElement.checked = this.profile ? this.profile.executeScripts : false;
+    if (observeMutationsElement) observeMutationsElement.checked = this.profile ? !!this.profile.observeMutations : false;
+
+    // Without profiles there is nothing to edit until one is added
+    ['profileSelect', 'removeProfile', 'profileName', 'profilePatterns',
+      'forwardHeaders', 'forwardCookies', 'executeScripts', 'observeMutations', 'addHeader'].forEach(id => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.disabled = !this.profile;
+      }
+    });
+
+    this.renderHeaders();
+  }
+
   renderHeaders() {
-    debugLog('Rendering headers, count:', this.customHeaders.length);
+    const customHeaders = this.profile ? this.profile.customHeaders : [];
+    debugLog('Rendering headers, count:', customHeaders.length);
     const container = document.getElementById('headersContainer');
     
     if (!container) {
@@ -233,45 +765,144 @@ class ESIPopup {
 
     container.innerHTML = '';
 
-    if (this.customHeaders.length === 0) {
+    if (customHeaders.length === 0) {
       container.innerHTML = '<div class="empty-headers">No custom headers</div>';
       return;
     }
 
-    this.customHeaders.forEach((header, index) => {
+    customHeaders.forEach((header, index) => {
       const headerRow = document.createElement('div');
       headerRow.className = 'header-row';
       headerRow.innerHTML = `
         <input type="text" class="header-input" placeholder="Header Name" 
-               value="${this.escapeHtml(header.name)}" data-index="${index}" data-field="name">
+               value="${escapeHtml(header.name)}" data-index="${index}" data-field="name">
         <input type="text" class="header-input" placeholder="Header Value" 
-               value="${this.escapeHtml(header.value)}" data-index="${index}" data-field="value">
+               value="${escapeHtml(header.value)}" data-index="${index}" data-field="value">
         <button class="remove-header" data-index="${index}">×</button>
       `;
       container.appendChild(headerRow);
     });
+  }
 
-    // Event delegation for header inputs and remove buttons
-    container.addEventListener('input', (e) => {
-      if (e.target.classList.contains('header-input')) {
-        const index = parseInt(e.target.dataset.index);
-        const field = e.target.dataset.field;
-        debugLog('Header input changed:', index, field, e.target.value);
-        if (this.customHeaders[index]) {
-          this.customHeaders[index][field] = e.target.value;
-          this.saveSettings();
-        }
-      }
+  renderRewriteRules() {
+    debugLog('Rendering rewrite rules, count:', this.rewriteRules.length);
+    const container = document.getElementById('rewriteRulesContainer');
+
+    if (!container) {
+      debugLog('Rewrite rules container not found!');
+      return;
+    }
+
+    container.innerHTML = '';
+
+    if (this.rewriteRules.length === 0) {
+      container.innerHTML = '<div class="empty-headers">No rewrite rules</div>';
+      return;
+    }
+
+    // Rules are applied top to bottom, the first match wins
+    this.rewriteRules.forEach((rule, index) => {
+      const ruleRow = document.createElement('div');
+      ruleRow.className = 'header-row rule-row';
+      ruleRow.innerHTML = `
+        <select class="rule-type" data-index="${index}" data-field="type">
+          <option value="prefix" ${rule.type !== 'regex' ? 'selected' : ''}>Prefix</option>
+          <option value="regex" ${rule.type === 'regex' ? 'selected' : ''}>Regex</option>
+        </select>
+        <input type="text" class="header-input" placeholder="https://www.example.com/fragments/" 
+               value="${escapeHtml(rule.match)}" data-index="${index}" data-field="match">
+        <input type="text" class="header-input" placeholder="http://localhost:8080/fragments/" 
+               value="${escapeHtml(rule.target)}" data-index="${index}" data-field="target">
+        <button class="move-rule-up" data-index="${index}" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+        <button class="remove-header remove-rule" data-index="${index}">×</button>
+      `;
+      container.appendChild(ruleRow);
     });
+  }
 
-    container.addEventListener('click', (e) => {
-      if (e.target.classList.contains('remove-header')) {
-        const index = parseInt(e.target.dataset.index);
-        debugLog('Remove header:', index);
-        this.customHeaders.splice(index, 1);
-        this.renderHeaders();
-        this.saveSettings();
-      }
+  renderMocks() {
+    debugLog('Rendering mocks, count:', this.fragmentMocks.length);
+    const container = document.getElementById('mocksContainer');
+
+    if (!container) {
+      debugLog('Mocks container not found!');
+      return;
+    }
+
+    container.innerHTML = '';
+
+    if (this.fragmentMocks.length === 0) {
+      container.innerHTML = '<div class="empty-headers">No fragment mocks</div>';
+      return;
+    }
+
+    this.fragmentMocks.forEach((mock, index) => {
+      const mockDiv = document.createElement('div');
+      mockDiv.className = 'mock-item';
+      mockDiv.innerHTML = `
+        <div class="mock-row">
+          <label class="toggle-switch mini-toggle" title="Enable mock">
+            <input type="checkbox" data-index="${index}" data-field="enabled" ${mock.enabled ? 'checked' : ''}>
+            <span class="slider"></span>
+          </label>
+          <input type="text" class="header-input" placeholder="URL pattern, e.g. */fragments/teaser*" 
+                 value="${escapeHtml(mock.pattern)}" data-index="${index}" data-field="pattern">
+          <input type="number" class="header-input mock-status" min="200" max="599" title="Status code" 
+                 value="${escapeHtml(String(mock.status || 200))}" data-index="${index}" data-field="status">
+          <button class="remove-header remove-mock" data-index="${index}">×</button>
+        </div>
+        <textarea class="header-input mock-text" rows="2" placeholder="Header-Name: value (one per line)" 
+                  data-index="${index}" data-field="headers">${escapeHtml(mock.headers)}</textarea>
+        <textarea class="header-input mock-text" rows="3" placeholder="Fragment HTML" 
+                  data-index="${index}" data-field="body">${escapeHtml(mock.body)}</textarea>
+      `;
+      container.appendChild(mockDiv);
+    });
+  }
+
+  renderFaultRules() {
+    debugLog('Rendering fault rules, count:', this.faultRules.length);
+    const container = document.getElementById('faultRulesContainer');
+
+    if (!container) {
+      debugLog('Fault rules container not found!');
+      return;
+    }
+
+    container.innerHTML = '';
+
+    if (this.faultRules.length === 0) {
+      container.innerHTML = '<div class="empty-headers">No fault rules</div>';
+      return;
+    }
+
+    const valueFields = {
+      status: { placeholder: '503', title: 'Error status code, 400 to 599', min: 400, max: 599 },
+      delay: { placeholder: 'ms', title: 'Added delay in ms' },
+      truncate: { placeholder: 'chars', title: 'Characters of the body that are kept' }
+    };
+    this.faultRules.forEach((rule, index) => {
+      const valueField = valueFields[rule.type];
+      const ruleRow = document.createElement('div');
+      ruleRow.className = 'mock-row fault-row';
+      ruleRow.innerHTML = `
+        <label class="toggle-switch mini-toggle" title="Enable fault">
+          <input type="checkbox" data-index="${index}" data-field="enabled" ${rule.enabled ? 'checked' : ''}>
+          <span class="slider"></span>
+        </label>
+        <input type="text" class="header-input" placeholder="URL pattern, e.g. */fragments/teaser*" 
+               value="${escapeHtml(rule.pattern)}" data-index="${index}" data-field="pattern">
+        <select class="rule-type" data-index="${index}" data-field="type">
+          <option value="network" ${rule.type === 'network' ? 'selected' : ''}>Network error</option>
+          <option value="status" ${rule.type === 'status' ? 'selected' : ''}>Status</option>
+          <option value="delay" ${rule.type === 'delay' ? 'selected' : ''}>Delay</option>
+          <option value="truncate" ${rule.type === 'truncate' ? 'selected' : ''}>Truncate</option>
+        </select>
+        ${valueField ? `<input type="number" class="header-input mock-status" min="${valueField.min || 0}"${valueField.max ? ` max="${valueField.max}"` : ''} placeholder="${valueField.placeholder}" title="${valueField.title}" 
+               value="${escapeHtml(String(rule.value || ''))}" data-index="${index}" data-field="value">` : ''}
+        <button class="remove-header remove-fault-rule" data-index="${index}">×</button>
+      `;
+      container.appendChild(ruleRow);
     });
   }
 
@@ -296,7 +927,8 @@ class ESIPopup {
         total: 0,
         successful: 0,
         failed: 0,
-        fragments: []
+        fragments: [],
+        decisions: []
       };
 
       debugLog('Final stats:', stats);
@@ -306,6 +938,9 @@ class ESIPopup {
       document.getElementById('failedTags').textContent = stats.failed;
 
       this.renderFragmentsList(stats.fragments);
+      this.renderPageResolution(stats.fragments);
+      this.renderWaterfall(stats.fragments, stats.runStartedAt || 0);
+      this.renderDecisionsList(stats.decisions || []);
     } catch (error) {
       debugLog('Error loading stats:', error);
     }
@@ -327,39 +962,189 @@ class ESIPopup {
       return;
     }
 
-    fragments.forEach(fragment => {
+    orderFragmentsAsTree(fragments).forEach(({ fragment, depth }) => {
       const fragmentDiv = document.createElement('div');
       fragmentDiv.className = `fragment-item ${fragment.success ? 'fragment-success' : 'fragment-error'}`;
+      if (depth > 0) {
+        fragmentDiv.classList.add('fragment-nested');
+        fragmentDiv.style.paddingLeft = `${depth * 12}px`;
+      }
+      if (fragment.fallback) {
+        fragmentDiv.classList.add('fragment-fallback');
+      }
       
       const displayUrl = fragment.resolvedUrl || fragment.url;
-      const tooltip = fragment.resolvedUrl !== fragment.url ? 
+      let tooltip = fragment.resolvedUrl !== fragment.url ? 
         `Original: ${fragment.url}\nResolved: ${fragment.resolvedUrl}` : 
         fragment.url;
+      const rewrittenUrl = fragment.rewrittenUrl && fragment.rewrittenUrl !== fragment.resolvedUrl ?
+        fragment.rewrittenUrl : null;
+      if (rewrittenUrl) {
+        tooltip += `\nRewritten: ${rewrittenUrl}`;
+      }
+      if (fragment.servedBy && fragment.servedBy !== fragment.url) {
+        tooltip += `\nServed by alt: ${fragment.servedBy}`;
+      }
+      if (fragment.attempts && fragment.attempts.length > 1) {
+        tooltip += '\n' + fragment.attempts.map(attempt =>
+          `${attempt.success ? '✓' : '✗'} ${attempt.url}${attempt.error ? ` (${attempt.error})` : ''}`
+        ).join('\n');
+      }
+      const retries = (fragment.attempts || []).reduce((sum, attempt) => sum + (attempt.retries || 0), 0);
+      if (retries) {
+        tooltip += `\nRetries: ${retries}`;
+      }
+      if (fragment.fault) {
+        tooltip += `\nInjected fault: ${fragment.fault}`;
+      }
+      if (fragment.lastReloadError) {
+        tooltip += `\nLast reload failed: ${fragment.lastReloadError}`;
+      }
 
       fragmentDiv.innerHTML = `
-        <span title="${this.escapeHtml(tooltip)}" class="fragment-url" data-fragment-id="${fragment.id || 0}">
-          ${this.escapeHtml(displayUrl.length > 30 ? displayUrl.substring(0, 30) + '...' : displayUrl)}
+        <span title="${escapeHtml(tooltip)}" class="fragment-url" data-fragment-id="${fragment.id || 0}">
+          ${escapeHtml(this.truncateUrl(displayUrl))}
+          ${rewrittenUrl ? `<small class="fragment-rewrite">→ ${escapeHtml(this.truncateUrl(rewrittenUrl))}</small>` : ''}
         </span>
         <div class="fragment-actions">
           <button class="jump-to-fragment" data-fragment-id="${fragment.id || 0}" title="Jump to fragment">🔍</button>
-          <span class="fragment-status">${fragment.success ? '✓' : '✗'}</span>
+          <button class="view-source" data-fragment-id="${fragment.id || 0}" title="View the response source">&lt;/&gt;</button>
+          ${!fragment.raw && !fragment.continued ? `<button class="reload-fragment" data-fragment-id="${fragment.id || 0}" title="Reload fragment, bypassing the cache">↻</button>` : ''}
+          ${!fragment.raw ? `<button class="toggle-fragment${fragment.unresolved ? ' unresolved' : ''}" data-fragment-id="${fragment.id || 0}" title="${fragment.unresolved ? 'Show the resolved fragment' : 'Show the original ESI markup'}">⇄</button>` : ''}
+          ${!fragment.raw && fragment.resolvedUrl ? `<button class="fail-fragment" data-fragment-id="${fragment.id || 0}" data-fault-urls="${escapeHtml((fragment.candidateUrls || [fragment.resolvedUrl]).join('\n'))}" title="Fail this fragment: add network error rules for its src and alt URLs and resolve it again">⚡</button>` : ''}
+          ${fragment.mocked ? '<span class="mock-badge" title="Served by a fragment mock">MOCK</span>' : ''}
+          ${renderFaultBadge(fragment)}
+          ${fragment.raw ? '<span class="raw-badge" title="Resolved in the raw HTML response">RAW</span>' : ''}
+          ${fragment.cacheStatus ? `<span class="cache-status cache-${fragment.cacheStatus.toLowerCase()}" title="Fragment cache">${fragment.cacheStatus}</span>` : ''}
+          <span class="fragment-status" title="${this.getStatusTitle(fragment)}">${getFragmentStatusSymbol(fragment)}</span>
         </div>
       `;
       fragmentsList.appendChild(fragmentDiv);
     });
+  }
 
-    // Event delegation for jump functionality
-    fragmentsList.addEventListener('click', (e) => {
-      if (e.target.classList.contains('jump-to-fragment') || e.target.classList.contains('fragment-url')) {
-        const fragmentId = e.target.dataset.fragmentId;
-        debugLog('Jump to fragment:', fragmentId);
-        if (fragmentId) {
-          this.jumpToFragment(parseInt(fragmentId));
-        }
+  renderPageResolution(fragments) {
+    const button = document.getElementById('togglePageResolution');
+    if (!button) {
+      return;
+    }
+    const unresolved = fragments.some(fragment => fragment.unresolved);
+    button.style.display = fragments.some(fragment => !fragment.raw) ? '' : 'none';
+    button.classList.toggle('unresolved', unresolved);
+    button.textContent = unresolved ? 'Show resolved page' : 'Show original ESI markup';
+  }
+
+  // Fragment requests of the latest run on a shared time axis, in fragment list order.
+  // The grey line before a bar is the wait for a fetch queue slot and for earlier
+  // attempts, the light part of a bar the wait for the first byte, the rest the download.
+  renderWaterfall(fragments, runStartedAt) {
+    const waterfall = document.getElementById('waterfall');
+    if (!waterfall) {
+      return;
+    }
+
+    waterfall.innerHTML = '';
+    const timed = orderFragmentsAsTree(fragments).filter(({ fragment }) => fragment.startTime && fragment.startTime >= runStartedAt);
+    waterfall.style.display = timed.length === 0 ? 'none' : '';
+    if (timed.length === 0) {
+      return;
+    }
+
+    const start = Math.min(...timed.map(({ fragment }) => fragment.startTime));
+    const end = Math.max(...timed.map(({ fragment }) => fragment.startTime + (fragment.queueWait || 0) + (fragment.duration || 0)));
+    const span = Math.max(end - start, 1);
+    const slowestDuration = Math.max(...timed.map(({ fragment }) => fragment.duration || 0));
+
+    const scale = document.createElement('div');
+    scale.className = 'waterfall-scale';
+    scale.innerHTML = `<span>0 ms</span><span>${span} ms</span>`;
+    waterfall.appendChild(scale);
+
+    timed.forEach(({ fragment }) => {
+      const duration = fragment.duration || 0;
+      const queueWait = fragment.queueWait || 0;
+      const waitShare = fragment.ttfb !== null && fragment.ttfb !== undefined && duration > 0 ?
+        Math.min(fragment.ttfb / duration, 1) * 100 : 100;
+
+      const row = document.createElement('div');
+      row.className = 'waterfall-row';
+      if (duration === slowestDuration && timed.length > 1) {
+        row.classList.add('waterfall-slowest');
       }
+      row.dataset.fragmentId = fragment.id || 0;
+      row.title = this.getTimingTooltip(fragment, start);
+      row.innerHTML = `
+        <span class="waterfall-label">#${fragment.id || 0}</span>
+        <div class="waterfall-track">
+          ${queueWait ? `<div class="waterfall-queue" style="left: ${(fragment.startTime - start) / span * 100}%; width: ${queueWait / span * 100}%;"></div>` : ''}
+          <div class="waterfall-bar ${fragment.success ? 'waterfall-success' : 'waterfall-error'}"
+            style="left: ${(fragment.startTime + queueWait - start) / span * 100}%; width: ${duration / span * 100}%;">
+            <div class="waterfall-wait" style="width: ${waitShare}%;"></div>
+          </div>
+        </div>
+        <span class="waterfall-duration">${duration} ms</span>
+      `;
+      waterfall.appendChild(row);
     });
   }
 
+  getTimingTooltip(fragment, start) {
+    const lines = [
+      fragment.resolvedUrl || fragment.url,
+      `Start: +${fragment.startTime - start} ms`
+    ];
+    if (fragment.queueWait) lines.push(`Queued: ${fragment.queueWait} ms`);
+    if (fragment.ttfb !== null && fragment.ttfb !== undefined) lines.push(`First byte: ${fragment.ttfb} ms`);
+    lines.push(`Duration: ${fragment.duration || 0} ms`);
+    if (fragment.size !== undefined) lines.push(`Size: ${this.formatBytes(fragment.size)}`);
+    if (fragment.status) lines.push(`Status: ${fragment.status}`);
+    if (fragment.contentType) lines.push(`Content-Type: ${fragment.contentType}`);
+    Object.entries(fragment.responseHeaders || {}).forEach(([name, value]) => lines.push(`${name}: ${value}`));
+    if (fragment.cacheStatus) lines.push(`Fragment cache: ${fragment.cacheStatus}`);
+    if (!fragment.success && fragment.error) lines.push(`Error: ${fragment.error}`);
+    return lines.join('\n');
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+
+  renderDecisionsList(decisions) {
+    debugLog('Rendering decisions:', decisions.length);
+    const decisionsList = document.getElementById('decisionsList');
+
+    if (!decisionsList) {
+      debugLog('Decisions list not found!');
+      return;
+    }
+
+    decisionsList.innerHTML = '';
+    decisionsList.style.display = decisions.length === 0 ? 'none' : '';
+
+    decisions.forEach(decision => {
+      const decisionDiv = document.createElement('div');
+      decisionDiv.className = `decision-item decision-${decision.branch}`;
+
+      const label = decision.branch === 'when' ? `when ${decision.test}` : decision.branch;
+      const tooltip = decision.tests.map(test =>
+        `${test.error ? '⚠' : (test.result ? '✓' : '✗')} ${test.test}${test.error ? ` (${test.error})` : ''}`
+      ).join('\n') || 'No esi:when tests';
+
+      decisionDiv.innerHTML = `
+        <span class="decision-label" title="${escapeHtml(tooltip)}">esi:choose → ${escapeHtml(label)}</span>
+      `;
+      decisionsList.appendChild(decisionDiv);
+    });
+  }
+
+  getStatusTitle(fragment) {
+    if (fragment.success) return fragment.servedBy && fragment.servedBy !== fragment.url ? 'Served by alt URL' : '';
+    if (fragment.fallback) return 'esi:except branch rendered';
+    if (fragment.continued) return 'Removed silently (onerror="continue")';
+    return escapeHtml(fragment.error);
+  }
+
   async jumpToFragment(fragmentId) {
     try {
       debugLog('Jumping to fragment:', fragmentId);
@@ -376,6 +1161,241 @@ class ESIPopup {
     }
   }
 
+  // Refetches one fragment in the page and shows its updated stats entry
+  async reloadFragment(fragmentId, button) {
+    button.disabled = true;
+    try {
+      const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+      if (!tab) return;
+
+      const result = await browserAPI.tabs.sendMessage(tab.id, {
+        action: 'reloadFragment',
+        fragmentId: fragmentId
+      });
+      if (result && !result.success) {
+        debugLog('Fragment reload failed:', result.error);
+      }
+      await this.loadStats();
+    } catch (error) {
+      debugLog('Could not reload fragment:', error);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // Adds or enables a fault rule for exactly each URL the fragment may be served
+  // from, src and alt, then resolves the fragment again from its ESI markup so the
+  // page shows how it handles the failure
+  async failFragment(fragmentId, urls, button) {
+    button.disabled = true;
+    try {
+      urls.forEach(url => {
+        // A * in the URL is no wildcard here
+        const pattern = escapeWildcard(url);
+        // An existing rule for the URL may inject another fault, ⚡ always means a network error
+        const existing = this.faultRules.find(rule => rule.pattern === pattern);
+        if (existing) {
+          Object.assign(existing, { enabled: true, type: 'network', value: '' });
+        } else {
+          this.faultRules.push({ enabled: true, pattern: pattern, type: 'network', value: '' });
+        }
+      });
+      this.renderFaultRules();
+      await this.saveSettings();
+
+      const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+      if (!tab) return;
+
+      const result = await browserAPI.tabs.sendMessage(tab.id, {
+        action: 'resolveFragmentAgain',
+        fragmentId: fragmentId,
+        faultRules: this.faultRules
+      });
+      if (result && !result.success) {
+        debugLog('Could not resolve the failed fragment again:', result.error);
+      }
+      await this.loadStats();
+    } catch (error) {
+      debugLog('Could not fail fragment:', error);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // Switches the overlay in the active tab only, the checkbox shows the page's answer
+  async setOverlayEnabled(enabled) {
+    const overlayEnabledElement = document.getElementById('overlayEnabled');
+    try {
+      const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+      if (!tab) return;
+
+      const result = await browserAPI.tabs.sendMessage(tab.id, { action: 'setOverlayEnabled', enabled: enabled });
+      this.overlayEnabled = !!(result && result.overlayEnabled);
+    } catch (error) {
+      debugLog('Could not switch the fragment overlay:', error);
+    }
+    overlayEnabledElement.checked = this.overlayEnabled;
+  }
+
+  async openSourceViewer(fragmentId) {
+    try {
+      const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+      if (!tab) return;
+
+      await browserAPI.tabs.create({
+        url: browserAPI.runtime.getURL(`source.html?tabId=${tab.id}&fragmentId=${fragmentId}`)
+      });
+      window.close();
+    } catch (error) {
+      debugLog('Could not open source viewer:', error);
+    }
+  }
+
+  // Sends setFragmentResolved or setPageResolved to the page and shows the new state
+  async setResolved(message) {
+    try {
+      const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+      if (!tab) return;
+
+      const result = await browserAPI.tabs.sendMessage(tab.id, message);
+      if (result && !result.success) {
+        debugLog('Could not switch fragment resolution:', result.error);
+      }
+      this.showStatsMessage(result && !result.success ? `Could not switch fragment resolution: ${result.error}` : '');
+      await this.loadStats();
+    } catch (error) {
+      debugLog('Could not switch fragment resolution:', error);
+      this.showStatsMessage('Could not switch fragment resolution, the page did not respond');
+    }
+  }
+
+  // Errors of the statistics actions, cleared again by the next one that works
+  showStatsMessage(message) {
+    const statsMessage = document.getElementById('statsMessage');
+    if (statsMessage) {
+      statsMessage.textContent = message;
+    }
+  }
+
+  // Collects the fragment requests of the current tab from the content script and,
+  // in raw HTML mode, the background script and saves them as a HAR 1.2 file
+  async exportHar(includeBodies) {
+    try {
+      const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+      if (!tab) return;
+
+      const [pageLog, rawLog] = await Promise.all([
+        browserAPI.tabs.sendMessage(tab.id, { action: 'getRequestLog' }).catch(() => null),
+        browserAPI.runtime.sendMessage({ action: 'getRawRequestLog', tabId: tab.id }).catch(() => null)
+      ]);
+      if (!pageLog && !rawLog) {
+        this.showStatsMessage('Could not export HAR, the page did not respond');
+        return;
+      }
+      const records = [...(rawLog ? rawLog.entries : []), ...(pageLog ? pageLog.entries : [])]
+        .sort((a, b) => a.startTime - b.startTime);
+      debugLog('Exporting', records.length, 'fragment requests as HAR');
+
+      const har = this.buildHar(tab, records, includeBodies);
+      const blob = new Blob([JSON.stringify(har, null, 2)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `esi-fragments-${new URL(tab.url).hostname}-${new Date().toISOString().replace(/[:.]/g, '-')}.har`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      this.showStatsMessage('');
+    } catch (error) {
+      debugLog('Error exporting HAR:', error);
+      this.showStatsMessage(`Could not export HAR: ${error.message}`);
+    }
+  }
+
+  buildHar(tab, records, includeBodies) {
+    const toNameValueList = (pairs) => pairs.map(([name, value]) => ({ name: name, value: String(value) }));
+    const pageStart = records.length ? records[0].startTime : Date.now();
+
+    const entries = records.map(record => {
+      const url = new URL(record.url);
+      const responseHeaders = record.responseHeaders || [];
+      const contentType = (responseHeaders.find(([name]) => name.toLowerCase() === 'content-type') || [])[1] || '';
+      const size = record.body !== undefined && record.body !== null ? new TextEncoder().encode(record.body).length : 0;
+      const duration = Math.max(record.duration || 0, 0);
+      // Without a response the whole time was spent waiting
+      const wait = record.ttfb !== undefined && record.ttfb !== null ? Math.min(record.ttfb, duration) : duration;
+
+      const entry = {
+        pageref: 'page_1',
+        startedDateTime: new Date(record.startTime).toISOString(),
+        time: duration,
+        request: {
+          method: record.method || 'GET',
+          url: record.url,
+          httpVersion: 'HTTP/1.1',
+          cookies: [],
+          headers: toNameValueList(Object.entries(record.requestHeaders || {}).filter(([name]) => !isForbiddenRequestHeader(name))),
+          queryString: toNameValueList(Array.from(url.searchParams.entries())),
+          headersSize: -1,
+          bodySize: 0,
+          comment: `credentials: ${record.credentials}`
+        },
+        response: {
+          status: record.status || 0,
+          statusText: record.statusText || '',
+          httpVersion: 'HTTP/1.1',
+          cookies: [],
+          headers: toNameValueList(responseHeaders),
+          content: {
+            size: size,
+            mimeType: contentType
+          },
+          redirectURL: '',
+          headersSize: -1,
+          bodySize: record.status ? size : -1
+        },
+        cache: {},
+        timings: {
+          blocked: -1,
+          dns: -1,
+          connect: -1,
+          ssl: -1,
+          send: 0,
+          wait: wait,
+          receive: duration - wait
+        }
+      };
+      if (includeBodies && record.body) {
+        entry.response.content.text = record.body;
+      }
+      if (record.error) {
+        entry.response._error = record.error;
+        entry.comment = record.error;
+      }
+      return entry;
+    });
+
+    return {
+      log: {
+        version: '1.2',
+        creator: {
+          name: 'ESI Resolver',
+          version: browserAPI.runtime.getManifest().version
+        },
+        pages: [{
+          startedDateTime: new Date(pageStart).toISOString(),
+          id: 'page_1',
+          title: tab.url,
+          pageTimings: {
+            onContentLoad: -1,
+            onLoad: -1
+          }
+        }],
+        entries: entries
+      }
+    };
+  }
+
   async clearStats() {
     try {
       debugLog('Clearing stats...');
@@ -396,10 +1416,23 @@ class ESIPopup {
     }
   }
 
-  escapeHtml(text) {
-    if (!text) return '';
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  async purgeCache(pattern) {
+    const purgeResult = document.getElementById('purgeResult');
+    try {
+      const response = await browserAPI.runtime.sendMessage({ action: 'purgeCache', pattern: pattern });
+      debugLog('Purge cache response:', response);
+      if (purgeResult) {
+        purgeResult.textContent = `Purged ${response.purged} cached fragment${response.purged === 1 ? '' : 's'}`;
+      }
+    } catch (error) {
+      debugLog('Error purging cache:', error);
+      if (purgeResult) {
+        purgeResult.textContent = 'Could not purge cache';
+      }
+    }
+  }
+
+  truncateUrl(url) {
+    return url.length > 30 ? url.substring(0, 30) + '...' : url;
   }
 }
\ No newline at end of file
@@ -0,0 +1,111 @@
+// Per-site profiles and URL wildcard patterns shared by the content script, the popup
+// and the background script. Loaded before content.js and popup.js and after
+// background.js, which provide browserAPI
+
+// Matches every page, only when a user adds it to a profile
+const CATCH_ALL_PROFILE_PATTERN = '*';
+
+// Anchored, case-sensitive unless flags say otherwise. * matches any characters,
+// \* a star, everything else literally.
+function wildcardToRegExp(wildcard, flags = '') {
+  return new RegExp(
+    '^' + wildcard.split(/(?<!\\)\*/).map(part => part.replace(/\\\*/g, '*').replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$',
+    flags
+  );
+}
+
+// A pattern matching exactly this text
+function escapeWildcard(text) {
+  return text.replace(/\*/g, '\\*');
+}
+
+function createProfile(name, patterns = [], settings = {}) {
+  return {
+    id: `profile-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+    name: name,
+    patterns: patterns,
+    customHeaders: settings.customHeaders || [],
+    forwardHeaders: settings.forwardHeaders || false,
+    forwardCookies: settings.forwardCookies || false,
+    executeScripts: settings.executeScripts || false,
+    observeMutations: settings.observeMutations || false
+  };
+}
+
+// Profiles are created by migrateProfiles when the extension is installed or
+// updated, until then no page matches
+async function loadProfiles() {
+  const result = await browserAPI.storage.local.get('profiles');
+  return Array.isArray(result.profiles) ? result.profiles : [];
+}
+
+// Moves the global settings from before profiles into a Default profile. Its
+// patterns are the hosts of pages ESI was recently resolved on, as recorded in the
+// page statistics; without any it matches nothing until patterns are added.
+// Nothing to keep, e.g. on a fresh install, means no profile at all.
+async function migrateProfiles() {
+  const result = await browserAPI.storage.local.get();
+  if (Array.isArray(result.profiles)) {
+    return;
+  }
+
+  const hasGlobalSettings = (result.customHeaders || []).length > 0 ||
+    result.forwardHeaders || result.forwardCookies || result.executeScripts;
+  if (!hasGlobalSettings) {
+    await browserAPI.storage.local.set({ profiles: [] });
+    return;
+  }
+
+  const hosts = new Set();
+  Object.keys(result).forEach(key => {
+    if (key.startsWith('esiStats_')) {
+      try {
+        hosts.add(new URL(key.substring('esiStats_'.length)).host);
+      } catch (e) {}
+    }
+  });
+  if (hosts.size === 0) {
+    debugLog('Migrated settings into the Default profile without patterns, add some to use it');
+  }
+  await browserAPI.storage.local.set({ profiles: [createProfile('Default', Array.from(hosts), result)] });
+}
+
+// Profiles are checked in order, the first one with a matching pattern wins
+function findMatchingProfile(profiles, url) {
+  if (!url) {
+    return null;
+  }
+  return profiles.find(profile =>
+    (profile.patterns || []).some(pattern => matchesProfilePattern(url, pattern))
+  ) || null;
+}
+
+// Patterns with a scheme or path are matched against the whole URL,
+// anything else against the host name (including the port when the
+// pattern has one). * matches any characters and *.example.com also
+// matches example.com itself.
+function matchesProfilePattern(url, pattern) {
+  const trimmed = (pattern || '').trim();
+  if (!trimmed) {
+    return false;
+  }
+  if (trimmed === CATCH_ALL_PROFILE_PATTERN) {
+    return true;
+  }
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (e) {
+    return false;
+  }
+
+  if (trimmed.includes('/')) {
+    return wildcardToRegExp(trimmed, 'i').test(parsedUrl.href);
+  }
+  const host = trimmed.includes(':') ? parsedUrl.host : parsedUrl.hostname;
+  if (trimmed.startsWith('*.') && host.toLowerCase() === trimmed.substring(2).toLowerCase()) {
+    return true;
+  }
+  return wildcardToRegExp(trimmed, 'i').test(host);
+}
@@ -0,0 +1,234 @@
+// Firefox compatibility layer
+const browserAPI = (typeof browser !== 'undefined') ? browser : chrome;
+
+// Line diffs are quadratic, larger fragments only show the source
+const MAX_DIFF_CELLS = 4000000;
+
+// Debug logging utility
+let debugSettings = { esiEnabled: false, debugLogging: false };
+
+function debugLog(...args) {
+  if (debugSettings.esiEnabled && debugSettings.debugLogging) {
+    console.log(...args);
+  }
+}
+
+// Load debug settings
+async function loadDebugSettings() {
+  try {
+    const result = await browserAPI.storage.local.get(['esiEnabled', 'debugLogging']);
+    debugSettings.esiEnabled = result.esiEnabled !== false;
+    debugSettings.debugLogging = result.debugLogging || false;
+  } catch (e) {}
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  await loadDebugSettings();
+  const params = new URLSearchParams(window.location.search);
+  const viewer = new ESISourceViewer(parseInt(params.get('tabId'), 10), parseInt(params.get('fragmentId'), 10));
+});
+
+// Source viewer: the response body a fragment was resolved from, its headers,
+// and a line diff against the HTML that ended up in the page
+class ESISourceViewer {
+  constructor(tabId, fragmentId) {
+    this.tabId = tabId;
+    this.fragmentId = fragmentId;
+    document.getElementById('refresh').addEventListener('click', () => this.load());
+    this.load();
+  }
+
+  async load() {
+    debugLog('Loading source of fragment', this.fragmentId, 'in tab', this.tabId);
+    const content = document.getElementById('content');
+    const page = await browserAPI.tabs.sendMessage(this.tabId, { action: 'getFragmentSource', fragmentId: this.fragmentId }).catch(() => null);
+    if (!page) {
+      content.innerHTML = '<div class="empty">The page is not reachable, it may have been closed or navigated away</div>';
+      return;
+    }
+
+    const statsKey = `esiStats_${page.pageUrl}`;
+    const result = await browserAPI.storage.local.get([statsKey]);
+    const fragment = result[statsKey] ? result[statsKey].fragments.find(f => f.id === this.fragmentId) : null;
+    const source = page.source || await this.findLoggedResponse(fragment);
+
+    document.title = `ESI Fragment #${this.fragmentId} Source`;
+    document.getElementById('fragmentTitle').textContent = `#${this.fragmentId} ${fragment ? fragment.url : ''}`;
+    document.getElementById('summary').textContent = this.getSummary(fragment, source);
+    this.render(source, page.currentHtml);
+  }
+
+  // Failed fragments and fragments resolved in raw HTML mode only have their requests logged
+  async findLoggedResponse(fragment) {
+    const log = fragment && fragment.raw ?
+      await browserAPI.runtime.sendMessage({ action: 'getRawRequestLog', tabId: this.tabId }).catch(() => null) :
+      await browserAPI.tabs.sendMessage(this.tabId, { action: 'getRequestLog' }).catch(() => null);
+    const request = (log ? log.entries : [])
+      .filter(entry => entry.fragmentId === this.fragmentId && typeof entry.body === 'string')
+      .pop();
+    if (!request) {
+      return null;
+    }
+    return {
+      url: request.url,
+      body: request.body,
+      status: request.status,
+      headers: request.responseHeaders || [],
+      cacheStatus: null,
+      mocked: false,
+      logged: true
+    };
+  }
+
+  getSummary(fragment, source) {
+    const parts = [];
+    if (source && source.status) parts.push(`HTTP ${source.status}`);
+    if (source && source.cacheStatus) parts.push(`cache ${source.cacheStatus}`);
+    if (source && source.mocked) parts.push('mocked');
+    if (fragment && fragment.fault) parts.push(`injected fault: ${fragment.fault}`);
+    if (fragment && fragment.raw) parts.push('raw HTML mode');
+    if (fragment && !fragment.success) parts.push(`failed: ${fragment.error}`);
+    return parts.join(', ');
+  }
+
+  render(source, currentHtml) {
+    const content = document.getElementById('content');
+    if (!source) {
+      content.innerHTML = '<div class="empty">No response body is available for this fragment. The page may have been reloaded since, or the request failed without a response.</div>';
+      return;
+    }
+
+    const contentType = this.getHeader(source.headers, 'Content-Type') || '';
+    let html = `
+      <div class="request-line">${this.escapeHtml(source.url)}</div>
+      ${source.logged ? '<div class="note">Last logged response for this fragment</div>' : ''}
+      ${source.cacheStatus === 'HIT' ? '<div class="note">Served from the fragment cache, response headers are not cached</div>' : ''}
+      <h4>Response headers</h4>
+      ${this.renderTable(source.headers)}
+      <h4>Response body</h4>
+      ${this.renderCode(source.body, /html|xml/i.test(contentType) || !contentType)}
+      <h4>Diff against the content in the page</h4>
+    `;
+
+    if (currentHtml === null) {
+      html += '<div class="empty-inline">The fragment has no container on the page (failed, removed or switched to its ESI markup)</div>';
+    } else {
+      html += this.renderDiff(source.body, currentHtml);
+    }
+    content.innerHTML = html;
+  }
+
+  getHeader(headers, name) {
+    const header = headers.find(([headerName]) => headerName.toLowerCase() === name.toLowerCase());
+    return header ? header[1] : null;
+  }
+
+  renderTable(rows) {
+    if (rows.length === 0) {
+      return '<div class="empty-inline">None</div>';
+    }
+    return `<table class="details">${rows.map(([name, value]) => `
+      <tr><th>${this.escapeHtml(String(name))}</th><td>${this.escapeHtml(String(value))}</td></tr>
+    `).join('')}</table>`;
+  }
+
+  renderCode(text, highlight) {
+    const lineCount = text.split('\n').length;
+    const gutter = Array.from({ length: lineCount }, (_, index) => index + 1).join('\n');
+    return `
+      <div class="code">
+        <pre class="gutter">${gutter}</pre>
+        <pre class="source">${highlight ? this.highlightHtml(text) : this.escapeHtml(text)}</pre>
+      </div>
+    `;
+  }
+
+  // Tokenizes into comments, tags and text. Not a full parser, but the body is
+  // shown as received, so malformed markup is shown as it is too.
+  highlightHtml(text) {
+    const tokenPattern = /<!--[\s\S]*?(?:-->|$)|<\/?[a-zA-Z][^>]*>?|[^<]+|</g;
+    return (text.match(tokenPattern) || []).map(token => {
+      if (token.startsWith('<!--')) {
+        return `<span class="hl-comment">${this.escapeHtml(token)}</span>`;
+      }
+      const tag = token.match(/^(<\/?)([^\s>\/]+)([\s\S]*?)(\/?>)?$/);
+      if (token.startsWith('<') && tag) {
+        const tagClass = /^esi:/i.test(tag[2]) ? 'hl-esi' : 'hl-tag';
+        return `<span class="${tagClass}">${this.escapeHtml(tag[1] + tag[2])}</span>` +
+          this.highlightAttributes(tag[3]) +
+          `<span class="${tagClass}">${this.escapeHtml(tag[4] || '')}</span>`;
+      }
+      return this.escapeHtml(token);
+    }).join('');
+  }
+
+  highlightAttributes(attributes) {
+    const attributePattern = /([^\s=]+)(\s*=\s*)?("[^"]*"|'[^']*'|[^\s"']+)?|\s+/g;
+    return (attributes.match(attributePattern) || []).map(part => {
+      const attribute = part.match(/^([^\s=]+)(\s*=\s*)?([\s\S]*)$/);
+      if (!attribute) {
+        return this.escapeHtml(part);
+      }
+      return `<span class="hl-attr">${this.escapeHtml(attribute[1])}</span>` +
+        this.escapeHtml(attribute[2] || '') +
+        (attribute[3] ? `<span class="hl-value">${this.escapeHtml(attribute[3])}</span>` : '');
+    }).join('');
+  }
+
+  renderDiff(before, after) {
+    const changes = this.diffLines(before.split('\n'), after.split('\n'));
+    if (!changes) {
+      return '<div class="empty-inline">The fragment is too large to diff</div>';
+    }
+
+    const removed = changes.filter(change => change.type === 'removed').length;
+    const added = changes.filter(change => change.type === 'added').length;
+    if (removed === 0 && added === 0) {
+      return '<div class="note">The container HTML is identical to the response body</div>';
+    }
+
+    const prefixes = { same: ' ', removed: '-', added: '+' };
+    return `
+      <div class="note">${removed} lines only in the response body, ${added} only in the container</div>
+      <pre class="diff">${changes.map(change =>
+        `<span class="diff-${change.type}">${prefixes[change.type]} ${this.escapeHtml(change.text)}</span>`
+      ).join('\n')}</pre>
+    `;
+  }
+
+  // Longest common subsequence of lines, returns null above MAX_DIFF_CELLS
+  diffLines(a, b) {
+    if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+      return null;
+    }
+
+    const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        changes.push({ type: 'same', text: a[i++] });
+        j++;
+      } else if (i < a.length && (j === b.length || table[i + 1][j] >= table[i][j + 1])) {
+        changes.push({ type: 'removed', text: a[i++] });
+      } else {
+        changes.push({ type: 'added', text: b[j++] });
+      }
+    }
+    return changes;
+  }
+
+  escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}